@@ -6,25 +6,25 @@
 
 import {ChessboardState} from "./model/ChessboardState.js"
 import {FEN, Position} from "./model/Position.js"
-import {PositionAnimationsQueue} from "./view/PositionAnimationsQueue.js"
+import {PositionAnimationsQueue, PositionsAnimation} from "./view/PositionAnimationsQueue.js"
 import {EXTENSION_POINT} from "./model/Extension.js"
 import {ChessboardView, COLOR, INPUT_EVENT_TYPE, BORDER_TYPE, POINTER_EVENTS} from "./view/ChessboardView.js"
+import {MOVE_INPUT_MODE, VALIDATION_RESULT} from "./view/VisualMoveInput.js"
 import {Utils} from "./lib/Utils.js"
+import {PIECE, PIECE_TYPE, PieceTypes} from "./model/PieceTypes.js"
 
-export const PIECE = {
-    wp: "wp", wb: "wb", wn: "wn", wr: "wr", wq: "wq", wk: "wk",
-    bp: "bp", bb: "bb", bn: "bn", br: "br", bq: "bq", bk: "bk"
-}
-export const PIECE_TYPE = {
-    pawn: "p", knight: "n", bishop: "b", rook: "r", queen: "q", king: "k"
-}
 export const PIECES_FILE_TYPE = {
     svgSprite: "svgSprite"
 }
+export {PIECE}
+export {PIECE_TYPE}
+export {PieceTypes}
 export {COLOR}
 export {INPUT_EVENT_TYPE}
 export {POINTER_EVENTS}
 export {BORDER_TYPE}
+export {MOVE_INPUT_MODE}
+export {VALIDATION_RESULT}
 export {FEN}
 
 export class Chessboard {
@@ -37,8 +37,9 @@ export class Chessboard {
         this.id = (Math.random() + 1).toString(36).substring(2, 8)
         this.extensions = []
         this.props = {
-            position: FEN.empty, // set position as fen, use FEN.start or FEN.empty as shortcuts
+            position: FEN.empty, // set position as fen, map, diagram or JSON, use FEN.start or FEN.empty as shortcuts
             orientation: COLOR.white, // white on bottom
+            boardSize: {files: 8, ranks: 8}, // the number of files and ranks, like `{files: 10, ranks: 8}` for Capablanca chess
             responsive: true, // resize the board automatically to the size of the context element
             assetsUrl: "./assets/", // put all css and sprites in this folder, will be ignored for absolute urls of assets files
             assetsCache: true, // cache the sprites, deactivate if you want to use multiple pieces sets in one page
@@ -54,6 +55,12 @@ export class Chessboard {
                 },
                 animationDuration: 300 // pieces animation duration in milliseconds. Disable all animations with `0`
             },
+            moveInput: {
+                mode: MOVE_INPUT_MODE.dragOrClick, // "dragOrClick", "clickOnly" or "dragOnly"
+                dragThreshold: 4, // the distance in pixels, the pointer has to move, until the piece is dragged
+                ghostPiece: false, // leave a faded piece on the start square, while dragging
+                liftedPieceScale: 1.5 // the scaling of the dragged piece on touch devices, where the finger covers it
+            },
             extensions: [ /* {class: ExtensionClass, props: { ... }} */] // add extensions here
         }
         Utils.mergeObjects(this.props, props)
@@ -66,7 +73,7 @@ export class Chessboard {
             this.addExtension(extensionData.class, extensionData.props)
         }
         this.view.redrawBoard()
-        this.state.position = new Position(this.props.position)
+        this.state.position = new Position(this.props.position, this.props.boardSize.files, this.props.boardSize.ranks)
         this.view.redrawPieces()
         this.state.invokeExtensionPoints(EXTENSION_POINT.positionChanged)
         this.initialized = Promise.resolve() // deprecated 2023-09-19 don't use this anymore
@@ -75,31 +82,56 @@ export class Chessboard {
     // API //
 
     async setPiece(square, piece, animated = false) {
-        const positionFrom = this.state.position.clone()
+        const positionShown = this.view.getDisplayPosition().clone()
+        this.view.displayPosition = null // the changed position replaces a shown one
         this.state.position.setPiece(square, piece)
         this.state.invokeExtensionPoints(EXTENSION_POINT.positionChanged)
-        return this.positionAnimationsQueue.enqueuePositionChange(positionFrom, this.state.position.clone(), animated)
+        return this.positionAnimationsQueue.enqueuePositionChange(positionShown, this.state.position.clone(), animated)
     }
 
     async movePiece(squareFrom, squareTo, animated = false) {
-        const positionFrom = this.state.position.clone()
+        const positionShown = this.view.getDisplayPosition().clone()
+        this.view.displayPosition = null // the changed position replaces a shown one
         this.state.position.movePiece(squareFrom, squareTo)
         this.state.invokeExtensionPoints(EXTENSION_POINT.positionChanged)
-        return this.positionAnimationsQueue.enqueuePositionChange(positionFrom, this.state.position.clone(), animated)
+        return this.positionAnimationsQueue.enqueuePositionChange(positionShown, this.state.position.clone(), animated)
+    }
+
+    /**
+     * Makes exactly the described move and animates it, king and rook together on castling, the captured
+     * pawn on en passant and a promoted pawn morphing into the new piece. Side to move, castling rights,
+     * en passant square and the clocks are updated from the move, it is not checked, if it is legal.
+     * @param move `{from, to, promotion, castlingRook, enPassantCapture}`, like the moves of `Rules`
+     */
+    async makeMove(move, animated = false) {
+        const positionFrom = this.state.position.clone()
+        const positionShown = this.view.getDisplayPosition().clone()
+        this.view.displayPosition = null // the changed position replaces a shown one
+        const changes = PositionsAnimation.seekMoveChanges(positionFrom, move)
+        const positionTo = positionFrom.clone()
+        PositionsAnimation.applyChanges(positionTo, changes)
+        positionTo.updateAfterMove(positionFrom, move)
+        this.state.position = positionTo
+        this.state.invokeExtensionPoints(EXTENSION_POINT.positionChanged)
+        // the changes of the move fit only, if the board showed the position, from which it was made
+        return this.positionAnimationsQueue.enqueuePositionChange(positionShown, this.state.position.clone(), animated,
+            positionShown.equals(positionFrom, true) ? changes : undefined)
     }
 
-    async setPosition(fen, animated = false) {
+    async setPosition(position, animated = false) {
         const positionFrom = this.state.position.clone()
-        const positionTo = new Position(fen)
-        if (positionFrom.getFen() !== positionTo.getFen()) {
-            this.state.position.setFen(fen)
+        const positionTo = new Position(position, positionFrom.files, positionFrom.ranks)
+        const positionShown = this.view.getDisplayPosition().clone()
+        this.view.displayPosition = null // the changed position replaces a shown one
+        if (!positionFrom.equals(positionTo)) {
+            this.state.position = positionTo
             this.state.invokeExtensionPoints(EXTENSION_POINT.positionChanged)
         }
-        return this.positionAnimationsQueue.enqueuePositionChange(positionFrom, this.state.position.clone(), animated)
+        return this.positionAnimationsQueue.enqueuePositionChange(positionShown, this.state.position.clone(), animated)
     }
 
     async setOrientation(color, animated = false) {
-        const position = this.state.position.clone()
+        const position = this.view.getDisplayPosition().clone()
         if (this.boardTurning) {
             console.warn("setOrientation is only once in queue allowed")
             return
@@ -5,7 +5,7 @@
  */
 import {Extension, EXTENSION_POINT} from "../../model/Extension.js"
 import {COLOR, INPUT_EVENT_TYPE} from "../../Chessboard.js"
-import {piecesTranslations, renderPieceTitle} from "./I18n.js"
+import {piecesTranslations, renderPieceLetter, renderPieceTitle} from "./I18n.js"
 import {Utils} from "../../lib/Utils.js"
 
 const translations = {
@@ -92,7 +92,7 @@ class BrailleNotationInAlt {
         let listW = piecesTranslations[this.extension.lang].colors.w.toUpperCase() + ":"
         let listB = piecesTranslations[this.extension.lang].colors.b.toUpperCase() + ":"
         for (const piece of pieces) {
-            const pieceName = piece.type === "p" ? "" : piecesTranslations[this.extension.lang].pieces[piece.type].toUpperCase()
+            const pieceName = piece.type === "p" ? "" : renderPieceLetter(this.extension.lang, piece.type).toUpperCase()
             if (piece.color === "w") {
                 listW += " " + pieceName + piece.position
             } else {
@@ -175,23 +175,30 @@ class BoardAsTable {
     }
 
     redraw() {
-        const squares = this.chessboard.state.position.squares.slice()
-        const ranks = ["a", "b", "c", "d", "e", "f", "g", "h"]
-        const files = ["8", "7", "6", "5", "4", "3", "2", "1"]
+        const position = this.chessboard.state.position
+        const squares = position.squares.slice()
+        const files = []
+        const ranks = []
+        for (let i = 0; i < position.files; i++) {
+            files.push(String.fromCharCode(97 + i))
+        }
+        for (let i = position.ranks; i > 0; i--) {
+            ranks.push("" + i)
+        }
         if (this.chessboard.state.orientation === COLOR.black) {
             ranks.reverse()
             files.reverse()
             squares.reverse()
         }
         let html = `<table aria-labelledby="hl_table_${this.chessboard.id}"><tr><th></th>`
-        for (const rank of ranks) {
-            html += `<th scope='col'>${rank}</th>`
+        for (const file of files) {
+            html += `<th scope='col'>${file}</th>`
         }
         html += "</tr>"
-        for (let x = 7; x >= 0; x--) {
-            html += `<tr><th scope="row">${files[7 - x]}</th>`
-            for (let y = 0; y < 8; y++) {
-                const pieceCode = squares[y % 8 + x * 8]
+        for (let x = position.ranks - 1; x >= 0; x--) {
+            html += `<tr><th scope="row">${ranks[position.ranks - 1 - x]}</th>`
+            for (let y = 0; y < position.files; y++) {
+                const pieceCode = squares[y + x * position.files]
                 let color, name
                 if (pieceCode) {
                     color = pieceCode.charAt(0)
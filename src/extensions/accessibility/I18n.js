@@ -3,6 +3,7 @@
  * Repository: https://github.com/shaack/cm-chessboard
  * License: MIT, see file 'LICENSE'
  */
+import {PIECE_LETTERS, PieceTypes} from "../../model/PieceTypes.js"
 
 export const piecesTranslations = {
     en: {
@@ -12,9 +13,7 @@ export const piecesTranslations = {
         colors_long: {
             w: "White", b: "Black"
         },
-        pieces: {
-            p: "p", n: "n", b: "b", r: "r", q: "q", k: "k"
-        },
+        pieces: PIECE_LETTERS.en,
         pieces_long: {
             p: "Pawn", n: "Knight", b: "Bishop", r: "Rook", q: "Queen", k: "King"
         }
@@ -26,19 +25,25 @@ export const piecesTranslations = {
         colors_long: {
             w: "Weiß", b: "Schwarz"
         },
-        pieces: {
-            p: "b", n: "s", b: "l", r: "t", q: "d", k: "k"
-        },
+        pieces: PIECE_LETTERS.de,
         pieces_long: {
             p: "Bauer", n: "Springer", b: "Läufer", r: "Turm", q: "Dame", k: "König"
         }
     }
 }
 
+/**
+ * The pieces not translated here, like fairy pieces, are looked up in the `PieceTypes` registry
+ */
 export function renderPieceTitle(lang, name, color = undefined) {
-    let title = piecesTranslations[lang].pieces_long[name]
+    let title = piecesTranslations[lang].pieces_long[name] || PieceTypes.getName(name, lang)
     if (color) {
         title += " " + piecesTranslations[lang].colors_long[color]
     }
     return title
 }
+
+// the letters are in the model, for the notation, see `PIECE_LETTERS`
+export function renderPieceLetter(lang, type) {
+    return PieceTypes.getLetter(type, lang)
+}
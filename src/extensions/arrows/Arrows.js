@@ -11,9 +11,25 @@ import {Utils} from "../../lib/Utils.js"
 export const ARROW_TYPE = {
     default: {class: "arrow-default", slice: "arrowDefault", headSize: 7},
     danger: {class: "arrow-danger", slice: "arrowDefault", headSize: 7},
+    success: {class: "arrow-success", slice: "arrowDefault", headSize: 7},
+    warning: {class: "arrow-warning", slice: "arrowDefault", headSize: 7},
     pointy: {class: "arrow-pointy", slice: "arrowPointy", headSize: 7},
 }
 
+export const ARROW_EVENT_TYPE = {
+    click: "click",
+    pointerEnter: "pointerEnter",
+    pointerLeave: "pointerLeave"
+}
+
+// the arrow types of the annotation colors, like in the PGN comment command "[%cal Ge2e4]"
+export const ANNOTATION_ARROW_TYPE = {
+    G: ARROW_TYPE.success,
+    R: ARROW_TYPE.danger,
+    Y: ARROW_TYPE.warning,
+    B: ARROW_TYPE.default
+}
+
 export class Arrows extends Extension {
 
     /** @constructor */
@@ -23,7 +39,8 @@ export class Arrows extends Extension {
             this.onRedrawBoard()
         })
         this.props = {
-            sprite: "extensions/arrows/arrows.svg"
+            sprite: "extensions/arrows/arrows.svg",
+            eventHandler: undefined // called with the `ARROW_EVENT_TYPE` events of the interactive arrows
         }
         Object.assign(this.props, props)
         if (this.chessboard.props.assetsCache) {
@@ -33,13 +50,18 @@ export class Arrows extends Extension {
         chessboard.getArrows = this.getArrows.bind(this)
         chessboard.removeArrows = this.removeArrows.bind(this)
         this.arrowGroup = Svg.addElement(chessboard.view.markersTopLayer, "g", {class: "arrows"})
+        this.arrowGroupDown = Svg.addElement(chessboard.view.markersLayer, "g", {class: "arrows"})
         this.arrows = []
+        this.arrowsCount = 0
     }
 
     onRedrawBoard() {
         while (this.arrowGroup.firstChild) {
             this.arrowGroup.removeChild(this.arrowGroup.firstChild)
         }
+        while (this.arrowGroupDown.firstChild) {
+            this.arrowGroupDown.removeChild(this.arrowGroupDown.firstChild)
+        }
         this.arrows.forEach((arrow) => {
             this.drawArrow(arrow)
         })
@@ -47,14 +69,17 @@ export class Arrows extends Extension {
 
     drawArrow(arrow) {
         const view = this.chessboard.view
-        const arrowsGroup = Svg.addElement(this.arrowGroup, "g")
+        // the options of the arrow override the ones of its type
+        const style = Object.assign({}, arrow.type, arrow.options)
+        const arrowsGroup = Svg.addElement(style.position === "below" ? this.arrowGroupDown : this.arrowGroup, "g")
         arrowsGroup.setAttribute("data-arrow", arrow.from + arrow.to)
         arrowsGroup.setAttribute("class", "arrow " + arrow.type.class)
         const ptFrom = view.squareToPoint(arrow.from)
         const ptTo = view.squareToPoint(arrow.to)
         const spriteUrl = this.chessboard.props.assetsCache ? "" : this.getSpriteUrl()
         const defs = Svg.addElement(arrowsGroup, "defs")
-        const id = "arrow-" + arrow.from + arrow.to
+        // unique on the page, also for arrows on the same squares and for more than one board
+        const id = "arrow-" + this.chessboard.id + "-" + arrow.id
         const marker = Svg.addElement(defs, "marker", {
             id: id,
             markerWidth: arrow.type.headSize,
@@ -69,25 +94,134 @@ export class Arrows extends Extension {
         Svg.addElement(marker, "use", {
             href: `${spriteUrl}#${arrow.type.slice}`,
         })
+        if (style.color) {
+            marker.setAttribute("style", `fill: ${style.color}`)
+        }
 
         const x1 = ptFrom.x + view.squareWidth / 2
-        const x2 = ptTo.x + view.squareHeight / 2
-        const y1 = ptFrom.y + view.squareWidth / 2
+        const x2 = ptTo.x + view.squareWidth / 2
+        const y1 = ptFrom.y + view.squareHeight / 2
         const y2 = ptTo.y + view.squareHeight / 2
 
-        const width = ((view.scalingX + view.scalingY) / 2) * 4
-        let lineFill = Svg.addElement(arrowsGroup, "line")
-        lineFill.setAttribute('x1', x1.toString())
-        lineFill.setAttribute('x2', x2.toString())
-        lineFill.setAttribute('y1', y1.toString())
-        lineFill.setAttribute('y2', y2.toString())
+        const width = ((view.scalingX + view.scalingY) / 2) * (style.width || 4)
+        let lineFill
+        let length
+        const dx = x2 - x1
+        const dy = y2 - y1
+        const files = Math.abs(arrow.from.charCodeAt(0) - arrow.to.charCodeAt(0))
+        const ranks = Math.abs(parseInt(arrow.from.substring(1), 10) - parseInt(arrow.to.substring(1), 10))
+        if (style.shape === "knight" && files * ranks === 2) {
+            // first the long leg, then the short one, so the head points in the direction of the last step
+            const corner = Math.abs(dx) > Math.abs(dy) ? {x: x2, y: y1} : {x: x1, y: y2}
+            lineFill = Svg.addElement(arrowsGroup, "path", {
+                d: `M ${x1} ${y1} L ${corner.x} ${corner.y} L ${x2} ${y2}`, fill: "none"
+            })
+            length = Math.abs(dx) + Math.abs(dy)
+        } else if (style.shape === "curved") {
+            // the control point is beside the middle of the line, a positive curvature bends to the left
+            const curvature = style.curvature !== undefined ? style.curvature : 0.25
+            const cx = (x1 + x2) / 2 + dy * curvature
+            const cy = (y1 + y2) / 2 - dx * curvature
+            lineFill = Svg.addElement(arrowsGroup, "path", {
+                d: `M ${x1} ${y1} Q ${cx} ${cy} ${x2} ${y2}`, fill: "none"
+            })
+            length = quadraticLength(x1, y1, cx, cy, x2, y2)
+        } else {
+            lineFill = Svg.addElement(arrowsGroup, "line")
+            lineFill.setAttribute('x1', x1.toString())
+            lineFill.setAttribute('x2', x2.toString())
+            lineFill.setAttribute('y1', y1.toString())
+            lineFill.setAttribute('y2', y2.toString())
+            length = Math.sqrt(dx * dx + dy * dy)
+        }
         lineFill.setAttribute('class', 'arrow-line')
         lineFill.setAttribute("marker-end", "url(#" + id + ")")
         lineFill.setAttribute('stroke-width', width + "px")
+        const lineStyle = []
+        if (style.color) {
+            lineStyle.push(`stroke: ${style.color}`)
+        }
+        if (style.opacity !== undefined) {
+            lineStyle.push(`opacity: ${style.opacity}`)
+        }
+        if (style.animated && !arrow.drawn) {
+            // draw in only once, when the arrow is added, not on every redraw of the board
+            arrowsGroup.classList.add("arrow-animated")
+            if (!style.dash) {
+                lineStyle.push(`stroke-dasharray: ${length}`, `stroke-dashoffset: ${length}`)
+            }
+        }
+        arrow.drawn = true
+        if (lineStyle.length > 0) {
+            lineFill.setAttribute("style", lineStyle.join("; "))
+        }
+        if (style.dash) {
+            lineFill.setAttribute("stroke-dasharray", style.dash.map((length) => length * width).join(" "))
+        }
+        if (style.label) {
+            this.drawLabel(arrowsGroup, style, x2, y2)
+        }
+        // only arrows with the option `interactive` or a `title`, not the ones of other extensions, like premoves
+        if (style.interactive || style.title) {
+            this.makeInteractive(arrowsGroup, arrow, style)
+        }
+    }
+
+    // interactive arrows get the pointer, also over the squares below them
+    makeInteractive(arrowsGroup, arrow, style) {
+        arrowsGroup.classList.add("interactive")
+        if (style.title) {
+            Svg.addElement(arrowsGroup, "title").textContent = style.title
+        }
+        arrowsGroup.addEventListener("click", (event) => {
+            this.dispatch(ARROW_EVENT_TYPE.click, arrow, event)
+        })
+        arrowsGroup.addEventListener("pointerenter", (event) => {
+            arrowsGroup.classList.add("hover")
+            this.dispatch(ARROW_EVENT_TYPE.pointerEnter, arrow, event)
+        })
+        arrowsGroup.addEventListener("pointerleave", (event) => {
+            arrowsGroup.classList.remove("hover")
+            this.dispatch(ARROW_EVENT_TYPE.pointerLeave, arrow, event)
+        })
     }
 
-    addArrow(type, from, to) {
-        this.arrows.push(new Arrow(from, to, type))
+    dispatch(type, arrow, event) {
+        if (this.props.eventHandler) {
+            this.props.eventHandler({chessboard: this.chessboard, type: type, arrow: arrow, event: event})
+        }
+    }
+
+    // a short text in a circle on the head of the arrow, like the evaluation of an engine line
+    drawLabel(arrowsGroup, style, x, y) {
+        const view = this.chessboard.view
+        const labelGroup = Svg.addElement(arrowsGroup, "g", {class: "arrow-label"})
+        const circle = Svg.addElement(labelGroup, "circle", {cx: x, cy: y, r: view.squareHeight / 5})
+        if (style.color) {
+            circle.setAttribute("style", `fill: ${style.color}`)
+        }
+        const text = Svg.addElement(labelGroup, "text", {
+            x: x, y: y, "font-size": view.squareHeight / 5, "text-anchor": "middle", "dominant-baseline": "central"
+        })
+        text.textContent = style.label
+    }
+
+    /**
+     * @param type the type of the arrow, like `ARROW_TYPE.default`
+     * @param from the start square
+     * @param to the end square
+     * @param options override the type for this arrow, `{color, width, opacity, dash, label, position, shape,
+     * curvature, animated, title, interactive}`, like `{color: "#0a0", width: 6, opacity: 0.8, dash: [1, 1.5], label: "+1.2",
+     * position: "below"}`, `width` is in the units of the default width 4, `dash` in multiples of the width and
+     * `position` "below" draws the arrow below the pieces. `shape` "knight" draws knight moves L-shaped, "curved"
+     * bends the arrow by `curvature`, the distance of the bend relative to the length, default 0.25. `animated`
+     * draws the arrow in, when it is added. `title` is shown as tooltip, `interactive` or `title` let the arrow get
+     * the pointer and send its events to the `eventHandler`
+     */
+    addArrow(type, from, to, options = {}) {
+        const arrow = new Arrow(from, to, type, options)
+        arrow.id = this.arrowsCount++
+        this.arrows.push(arrow)
         this.chessboard.view.redrawBoard()
     }
 
@@ -115,11 +249,28 @@ export class Arrows extends Extension {
     }
 }
 
+// the length of a quadratic Bézier curve, approximated with line segments
+function quadraticLength(x1, y1, cx, cy, x2, y2) {
+    let length = 0
+    let previous = {x: x1, y: y1}
+    for (let i = 1; i <= 16; i++) {
+        const t = i / 16
+        const point = {
+            x: (1 - t) * (1 - t) * x1 + 2 * (1 - t) * t * cx + t * t * x2,
+            y: (1 - t) * (1 - t) * y1 + 2 * (1 - t) * t * cy + t * t * y2
+        }
+        length += Math.sqrt((point.x - previous.x) ** 2 + (point.y - previous.y) ** 2)
+        previous = point
+    }
+    return length
+}
+
 class Arrow {
-    constructor(from, to, type) {
+    constructor(from, to, type, options = {}) {
         this.from = from
         this.to = to
         this.type = type
+        this.options = options
     }
 
     matches(from = undefined, to = undefined, type = undefined) {
@@ -0,0 +1,186 @@
+/**
+ * Author and copyright: Stefan Haack (https://shaack.com)
+ * Repository: https://github.com/shaack/cm-chessboard
+ * License: MIT, see file 'LICENSE'
+ */
+import {Extension, EXTENSION_POINT} from "../../model/Extension.js"
+import {ANNOTATION_MARKER_TYPE} from "../markers/Markers.js"
+import {ANNOTATION_ARROW_TYPE} from "../arrows/Arrows.js"
+
+export const DRAWING_INPUT_EVENT_TYPE = {
+    markerAdded: "markerAdded",
+    markerRemoved: "markerRemoved",
+    arrowAdded: "arrowAdded",
+    arrowRemoved: "arrowRemoved",
+    cleared: "cleared" // all drawn shapes were removed with a left click
+}
+
+/**
+ * Lets the user draw on the board with the right mouse button. Dragging from one square to another draws an arrow,
+ * a click on a square draws a circle, drawing the same shape again removes it. The modifier keys select the color.
+ * Needs the Markers and Arrows extensions, add them before this one.
+ */
+export class DrawingInput extends Extension {
+
+    /** @constructor */
+    constructor(chessboard, props = {}) {
+        super(chessboard)
+        this.props = {
+            colors: { // the color of the shapes for the pressed modifier keys, "alt" is also Ctrl or Cmd
+                none: "G", shift: "R", alt: "B", shiftAlt: "Y"
+            },
+            markerTypes: ANNOTATION_MARKER_TYPE, // the marker types of the colors
+            arrowTypes: ANNOTATION_ARROW_TYPE, // the arrow types of the colors
+            clearOnLeftClick: true, // a left click on the board removes all drawn shapes
+            eventHandler: undefined // called with the `DRAWING_INPUT_EVENT_TYPE` events
+        }
+        Object.assign(this.props, props)
+        if (!chessboard.addMarker || !chessboard.addArrow) {
+            throw Error("the DrawingInput extension needs the Markers and Arrows extensions, add them before")
+        }
+        this.drawing = null
+        this.pointerDownListener = this.onPointerDown.bind(this)
+        this.pointerMoveListener = this.onPointerMove.bind(this)
+        this.pointerUpListener = this.onPointerUp.bind(this)
+        this.contextMenuListener = (event) => event.preventDefault()
+        chessboard.context.addEventListener("pointerdown", this.pointerDownListener)
+        chessboard.view.svg.addEventListener("contextmenu", this.contextMenuListener)
+        this.registerExtensionPoint(EXTENSION_POINT.destroy, () => {
+            chessboard.context.removeEventListener("pointerdown", this.pointerDownListener)
+            chessboard.view.svg.removeEventListener("contextmenu", this.contextMenuListener)
+            this.stopDrawing()
+        })
+        chessboard.clearDrawing = this.clearDrawing.bind(this)
+    }
+
+    /**
+     * Removes all markers and arrows of the drawing types.
+     */
+    clearDrawing() {
+        for (const color of Object.keys(this.props.markerTypes)) {
+            this.chessboard.removeMarkers(this.props.markerTypes[color])
+        }
+        for (const color of Object.keys(this.props.arrowTypes)) {
+            this.chessboard.removeArrows(this.props.arrowTypes[color])
+        }
+    }
+
+    // private
+
+    onPointerDown(event) {
+        const square = event.target.getAttribute && event.target.getAttribute("data-square")
+        if (!square || !event.isPrimary || this.chessboard.view.visualMoveInput.isMoving()) {
+            return
+        }
+        if (event.button === 0 && this.props.clearOnLeftClick && this.hasDrawing()) {
+            this.clearDrawing()
+            this.dispatch({type: DRAWING_INPUT_EVENT_TYPE.cleared})
+        } else if (event.button === 2) {
+            this.drawing = {from: square, to: square, color: this.colorOf(event)}
+            addEventListener("pointermove", this.pointerMoveListener)
+            addEventListener("pointerup", this.pointerUpListener)
+        }
+    }
+
+    onPointerMove(event) {
+        const square = event.target.getAttribute && event.target.getAttribute("data-square")
+        if (square && square !== this.drawing.to) {
+            this.removePreview()
+            this.drawing.to = square
+            const type = this.props.arrowTypes[this.drawing.color]
+            if (square !== this.drawing.from && this.chessboard.getArrows(type, this.drawing.from, square).length === 0) {
+                this.drawing.preview = true
+                this.chessboard.addArrow(type, this.drawing.from, square)
+            }
+        }
+    }
+
+    onPointerUp(event) {
+        if (event.button !== 2) {
+            return
+        }
+        const drawing = this.drawing
+        this.stopDrawing()
+        const square = event.target.getAttribute && event.target.getAttribute("data-square")
+        if (!square) {
+            return
+        }
+        if (square === drawing.from) {
+            this.toggleMarker(square, drawing.color)
+        } else {
+            this.toggleArrow(drawing.from, square, drawing.color)
+        }
+    }
+
+    stopDrawing() {
+        if (this.drawing) {
+            this.removePreview()
+            this.drawing = null
+            removeEventListener("pointermove", this.pointerMoveListener)
+            removeEventListener("pointerup", this.pointerUpListener)
+        }
+    }
+
+    removePreview() {
+        if (this.drawing.preview) {
+            this.drawing.preview = false
+            this.chessboard.removeArrows(this.props.arrowTypes[this.drawing.color], this.drawing.from, this.drawing.to)
+        }
+    }
+
+    // the same shape in the same color is removed, in another color it is replaced
+    toggleMarker(square, color) {
+        const type = this.props.markerTypes[color]
+        const existing = this.findColor(this.props.markerTypes, (markerType) => this.chessboard.getMarkers(markerType, square).length > 0)
+        if (existing) {
+            this.chessboard.removeMarkers(this.props.markerTypes[existing], square)
+            this.dispatch({type: DRAWING_INPUT_EVENT_TYPE.markerRemoved, square: square, color: existing})
+        }
+        if (existing !== color) {
+            this.chessboard.addMarker(type, square)
+            this.dispatch({type: DRAWING_INPUT_EVENT_TYPE.markerAdded, square: square, color: color})
+        }
+    }
+
+    toggleArrow(from, to, color) {
+        const type = this.props.arrowTypes[color]
+        const existing = this.findColor(this.props.arrowTypes, (arrowType) => this.chessboard.getArrows(arrowType, from, to).length > 0)
+        if (existing) {
+            this.chessboard.removeArrows(this.props.arrowTypes[existing], from, to)
+            this.dispatch({type: DRAWING_INPUT_EVENT_TYPE.arrowRemoved, from: from, to: to, color: existing})
+        }
+        if (existing !== color) {
+            this.chessboard.addArrow(type, from, to)
+            this.dispatch({type: DRAWING_INPUT_EVENT_TYPE.arrowAdded, from: from, to: to, color: color})
+        }
+    }
+
+    findColor(types, found) {
+        return Object.keys(types).find((color) => found(types[color]))
+    }
+
+    hasDrawing() {
+        return !!this.findColor(this.props.markerTypes, (type) => this.chessboard.getMarkers(type).length > 0) ||
+            !!this.findColor(this.props.arrowTypes, (type) => this.chessboard.getArrows(type).length > 0)
+    }
+
+    colorOf(event) {
+        const alt = event.altKey || event.ctrlKey || event.metaKey
+        if (event.shiftKey && alt) {
+            return this.props.colors.shiftAlt
+        } else if (event.shiftKey) {
+            return this.props.colors.shift
+        } else if (alt) {
+            return this.props.colors.alt
+        }
+        return this.props.colors.none
+    }
+
+    dispatch(event) {
+        if (this.props.eventHandler) {
+            event.chessboard = this.chessboard
+            this.props.eventHandler(event)
+        }
+    }
+
+}
@@ -0,0 +1,197 @@
+/**
+ * Author and copyright: Stefan Haack (https://shaack.com)
+ * Repository: https://github.com/shaack/cm-chessboard
+ * License: MIT, see file 'LICENSE'
+ */
+import {Extension, EXTENSION_POINT} from "../../model/Extension.js"
+import {COLOR} from "../../Chessboard.js"
+import {Position} from "../../model/Position.js"
+import {Svg} from "../../lib/Svg.js"
+
+/**
+ * Lets the user move the pieces with the keyboard. The board gets focusable and shows a cursor on a square, the
+ * arrow keys move it, Enter or Space pick up the piece and drop it on the square of the cursor, Escape cancels.
+ * Typing a square, like "e2", moves the cursor to it, typing a move, like "e2e4", makes it.
+ * The moves run through the same `moveInput` events as the moves with the pointer.
+ */
+export class KeyboardInput extends Extension {
+
+    /** @constructor */
+    constructor(chessboard, props = {}) {
+        super(chessboard)
+        this.props = {
+            typingTimeout: 1500, // the time in ms, after which a partly typed square or move is discarded
+            label: "Chessboard, use the arrow keys and Enter to move the pieces", // the `aria-label` of the board
+            invalidInput: "Invalid input" // announced by screen readers, when the typed square or move is not possible
+        }
+        Object.assign(this.props, props)
+        this.cursor = null
+        this.typed = ""
+        this.liveRegion = document.createElement("div")
+        this.liveRegion.className = "cm-chessboard-accessibility visually-hidden"
+        this.liveRegion.setAttribute("aria-live", "polite")
+        chessboard.context.appendChild(this.liveRegion)
+        this.cursorGroup = Svg.addElement(chessboard.view.interactiveTopLayer, "g", {class: "keyboard-cursor-group"})
+        const svg = chessboard.view.svg
+        svg.setAttribute("tabindex", "0")
+        svg.setAttribute("role", "application")
+        svg.setAttribute("aria-label", this.props.label)
+        this.keyDownListener = this.onKeyDown.bind(this)
+        this.focusListener = this.onFocus.bind(this)
+        this.blurListener = this.onBlur.bind(this)
+        svg.addEventListener("keydown", this.keyDownListener)
+        svg.addEventListener("focus", this.focusListener)
+        svg.addEventListener("blur", this.blurListener)
+        this.registerExtensionPoint(EXTENSION_POINT.afterRedrawBoard, this.drawCursor.bind(this))
+        this.registerExtensionPoint(EXTENSION_POINT.destroy, () => {
+            clearTimeout(this.typingTimeout)
+            svg.removeEventListener("keydown", this.keyDownListener)
+            svg.removeEventListener("focus", this.focusListener)
+            svg.removeEventListener("blur", this.blurListener)
+            svg.removeAttribute("tabindex")
+            svg.setAttribute("role", "img")
+            svg.removeAttribute("aria-label")
+            this.liveRegion.remove()
+        })
+        chessboard.setKeyboardCursor = this.setCursor.bind(this)
+        chessboard.getKeyboardCursor = this.getCursor.bind(this)
+    }
+
+    /**
+     * Moves the cursor to the square, and the picked up piece over it.
+     */
+    setCursor(square) {
+        this.cursor = square
+        this.chessboard.view.visualMoveInput.moveOverSquare(square)
+        this.drawCursor()
+    }
+
+    getCursor() {
+        return this.cursor
+    }
+
+    // private
+
+    onFocus() {
+        if (!this.cursor) {
+            // start in the lower left corner of the board, as seen by the player
+            const files = this.chessboard.props.boardSize.files
+            const ranks = this.chessboard.props.boardSize.ranks
+            this.cursor = this.chessboard.getOrientation() === COLOR.white ?
+                Position.indexToSquare(0, files) : Position.indexToSquare(files * ranks - 1, files)
+        }
+        this.focused = true
+        this.drawCursor()
+    }
+
+    onBlur() {
+        this.focused = false
+        this.drawCursor()
+    }
+
+    onKeyDown(event) {
+        if (event.defaultPrevented || event.ctrlKey || event.metaKey || event.altKey) {
+            return
+        }
+        const visualMoveInput = this.chessboard.view.visualMoveInput
+        const steps = {ArrowUp: [0, 1], ArrowDown: [0, -1], ArrowLeft: [-1, 0], ArrowRight: [1, 0]}
+        if (steps[event.key]) {
+            this.moveCursor(steps[event.key][0], steps[event.key][1])
+        } else if (event.key === "Enter" || event.key === " ") {
+            visualMoveInput.selectSquare(this.cursor)
+        } else if (event.key === "Escape") {
+            this.typed = ""
+            visualMoveInput.cancelMoveInput()
+        } else if (/^[a-z0-9]$/i.test(event.key)) {
+            this.type(event.key.toLowerCase())
+        } else {
+            return
+        }
+        event.preventDefault()
+    }
+
+    // moves the cursor in the direction of the screen, so it respects the orientation
+    moveCursor(right, up) {
+        const files = this.chessboard.props.boardSize.files
+        const ranks = this.chessboard.props.boardSize.ranks
+        const coordinates = Position.squareToCoordinates(this.cursor)
+        const direction = this.chessboard.getOrientation() === COLOR.white ? 1 : -1
+        const file = Math.min(files - 1, Math.max(0, coordinates[0] + right * direction))
+        const rank = Math.min(ranks - 1, Math.max(0, coordinates[1] + up * direction))
+        this.setCursor(Position.coordinatesToSquare([file, rank]))
+    }
+
+    // collects the typed characters until they form a square or a move
+    type(character) {
+        clearTimeout(this.typingTimeout)
+        if (this.isTypedOnBoard(this.typed + character)) {
+            this.typed += character
+            const squares = /^([a-z]\d+)([a-z]\d+)?$/.exec(this.typed)
+            if (squares && squares[2]) {
+                this.typed = ""
+                this.makeTypedMove(squares[1], squares[2])
+            } else if (squares) {
+                this.setCursor(squares[1])
+            }
+        } else {
+            this.announce(`${this.props.invalidInput}: ${this.typed + character}`)
+            this.typed = this.isTypedOnBoard(character) ? character : ""
+        }
+        if (this.typed) {
+            this.typingTimeout = setTimeout(() => {
+                this.typed = ""
+            }, this.props.typingTimeout)
+        }
+    }
+
+    makeTypedMove(from, to) {
+        const visualMoveInput = this.chessboard.view.visualMoveInput
+        if (visualMoveInput.getPickedUpSquare() !== from) {
+            visualMoveInput.cancelMoveInput()
+            if (!visualMoveInput.selectSquare(from)) {
+                this.announce(`${this.props.invalidInput}: ${from}${to}`)
+                return
+            }
+        }
+        this.setCursor(to)
+        visualMoveInput.selectSquare(to)
+    }
+
+    // true, if `typed` starts a square or a move on this board, like "e", "e2", "e2e" or "e2e4"
+    isTypedOnBoard(typed) {
+        const parts = /^([a-z])(\d*)(?:([a-z])(\d*))?$/.exec(typed)
+        if (!parts || (parts[3] && !parts[2])) {
+            return false
+        }
+        for (const [file, rank] of [[parts[1], parts[2]], [parts[3], parts[4]]]) {
+            if (file && file.charCodeAt(0) - 97 >= this.chessboard.props.boardSize.files) {
+                return false
+            }
+            if (rank && (rank.charAt(0) === "0" || parseInt(rank, 10) > this.chessboard.props.boardSize.ranks)) {
+                return false
+            }
+        }
+        return true
+    }
+
+    announce(text) {
+        this.liveRegion.textContent = text
+    }
+
+    drawCursor() {
+        while (this.cursorGroup.firstChild) {
+            this.cursorGroup.removeChild(this.cursorGroup.firstChild)
+        }
+        if (this.focused && this.cursor) {
+            const view = this.chessboard.view
+            const point = view.squareToPoint(this.cursor)
+            const inset = view.squareWidth / 20
+            Svg.addElement(this.cursorGroup, "rect", {
+                x: point.x + inset / 2, y: point.y + inset / 2,
+                width: view.squareWidth - inset, height: view.squareHeight - inset,
+                "stroke-width": inset, class: "keyboard-cursor", "data-cursor": this.cursor
+            })
+        }
+    }
+
+}
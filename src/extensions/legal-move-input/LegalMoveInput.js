@@ -0,0 +1,125 @@
+/**
+ * Author and copyright: Stefan Haack (https://shaack.com)
+ * Repository: https://github.com/shaack/cm-chessboard
+ * License: MIT, see file 'LICENSE'
+ */
+import {Extension} from "../../model/Extension.js"
+import {Rules} from "../../model/Rules.js"
+import {INPUT_EVENT_TYPE} from "../../Chessboard.js"
+import {PROMOTION_DIALOG_RESULT_TYPE} from "../promotion-dialog/PromotionDialog.js"
+
+export const LEGAL_MOVE_INPUT_EVENT_TYPE = {
+    moveDone: "moveDone" // a legal move was made and the board shows the position after the move
+}
+
+/**
+ * Move input, which accepts only legal moves, validated by the built-in `Rules`. Illegal drops are rejected,
+ * the legal moves are marked with the Markers extension and promotions use the PromotionDialog extension,
+ * if they are added to the board.
+ */
+export class LegalMoveInput extends Extension {
+
+    /** @constructor */
+    constructor(chessboard, props = {}) {
+        super(chessboard)
+        this.props = {
+            markLegalMoves: true, // show the legal moves with `addLegalMovesMarkers`, needs the Markers extension
+            promotionDialog: true // ask for the promotion piece, needs the PromotionDialog extension, else promotes to queen
+        }
+        Object.assign(this.props, props)
+        chessboard.enableLegalMoveInput = this.enableLegalMoveInput.bind(this)
+        chessboard.getLegalMoves = this.getLegalMoves.bind(this)
+    }
+
+    /**
+     * Enables the move input for the side to move. `eventHandler` is optional, it gets the events of
+     * `enableMoveInput`, `validateMoveInput` with the legal `event.move`, and `LEGAL_MOVE_INPUT_EVENT_TYPE.moveDone`
+     * after a move, with `move`, `position`, `check`, `checkmate` and `stalemate`. Return `false` to
+     * prevent a move input or a move.
+     * @param eventHandler optional
+     * @param color allow input only for this color, like in `enableMoveInput`
+     */
+    enableLegalMoveInput(eventHandler = undefined, color = undefined) {
+        this.eventHandler = eventHandler
+        this.chessboard.enableMoveInput(this.onMoveInput.bind(this), color)
+    }
+
+    /**
+     * @param square only the moves of the piece on this square, optional
+     * @returns {Object[]} the legal moves in the current position, see `Rules`
+     */
+    getLegalMoves(square = undefined) {
+        return Rules.getMoves(this.chessboard.state.position, square)
+    }
+
+    onMoveInput(event) {
+        const markLegalMoves = this.props.markLegalMoves && this.chessboard.addLegalMovesMarkers
+        if (markLegalMoves && event.type !== INPUT_EVENT_TYPE.movingOverSquare &&
+            event.type !== INPUT_EVENT_TYPE.moveInputFinished) {
+            this.chessboard.removeLegalMovesMarkers()
+        }
+        if (event.type === INPUT_EVENT_TYPE.moveInputStarted) {
+            const moves = this.getLegalMoves(event.squareFrom)
+            if (moves.length === 0 || this.callEventHandler(event) === false) {
+                return false
+            }
+            if (markLegalMoves) {
+                this.chessboard.addLegalMovesMarkers(moves)
+            }
+            return true
+        } else if (event.type === INPUT_EVENT_TYPE.validateMoveInput) {
+            const position = this.chessboard.state.position.clone()
+            const move = Rules.findMove(position, event.squareFrom, event.squareTo)
+            if (!move) {
+                return false
+            }
+            event.move = move
+            if (this.callEventHandler(event) === false) {
+                return false
+            }
+            this.chessboard.state.moveInputProcess.then((valid) => {
+                if (valid) { // after the board made the move
+                    this.finishMove(position, move)
+                }
+            })
+            if (move.promotion && this.props.promotionDialog && this.chessboard.showPromotionDialog) {
+                // the pawn waits on the last rank, until the piece is selected, `event.move` is made then
+                return new Promise((resolve) => {
+                    this.chessboard.showPromotionDialog(move.to, move.color, (result) => {
+                        if (result.type === PROMOTION_DIALOG_RESULT_TYPE.pieceSelected) {
+                            move.promotion = result.piece.charAt(1)
+                            resolve(true)
+                        } else {
+                            resolve(false)
+                        }
+                    })
+                })
+            }
+            return true
+        } else {
+            return this.callEventHandler(event)
+        }
+    }
+
+    finishMove(position, move) {
+        const positionAfter = Rules.makeMove(position, move)
+        return this.chessboard.setPosition(positionAfter.getFen(), true).then(() => {
+            this.callEventHandler({
+                chessboard: this.chessboard,
+                type: LEGAL_MOVE_INPUT_EVENT_TYPE.moveDone,
+                move: move,
+                position: positionAfter,
+                check: Rules.isCheck(positionAfter),
+                checkmate: Rules.isCheckmate(positionAfter),
+                stalemate: Rules.isStalemate(positionAfter)
+            })
+        })
+    }
+
+    callEventHandler(event) {
+        if (this.eventHandler) {
+            return this.eventHandler(event)
+        }
+    }
+
+}
@@ -8,6 +8,9 @@ import {Svg} from "../../lib/Svg.js"
 import {INPUT_EVENT_TYPE} from "../../Chessboard.js"
 import {Utils} from "../../lib/Utils.js"
 
+// Own marker types are objects like these. Instead of a `slice` of the sprite, the shape can be given as inline SVG
+// markup `svg`, like `'<circle cx="20" cy="20" r="16"/>'`, or drawn by a callback `draw(group, marker, chessboard)`,
+// both in the 40x40 units of a square. The markup is for shapes only, scripts and event handlers are removed.
 export const MARKER_TYPE = {
     frame: {class: "marker-frame", slice: "markerFrame"},
     framePrimary: {class: "marker-frame-primary", slice: "markerFrame"},
@@ -15,13 +18,48 @@ export const MARKER_TYPE = {
     circle: {class: "marker-circle", slice: "markerCircle"},
     circlePrimary: {class: "marker-circle-primary", slice: "markerCircle"},
     circleDanger: {class: "marker-circle-danger", slice: "markerCircle"},
+    circleSuccess: {class: "marker-circle-success", slice: "markerCircle"},
+    circleWarning: {class: "marker-circle-warning", slice: "markerCircle"},
     square: {class: "marker-square", slice: "markerSquare"},
     dot: {class: "marker-dot", slice: "markerDot", position: 'above'},
-    bevel: {class: "marker-bevel", slice: "markerBevel"}
+    bevel: {class: "marker-bevel", slice: "markerBevel"},
+    text: {class: "marker-text", position: 'above'} // set the text with the options of `addMarker`
+}
+
+export const MARKER_EVENT_TYPE = {
+    click: "click", // clicked on the square of the marker
+    pointerEnter: "pointerEnter", // the pointer entered the square of the marker
+    pointerLeave: "pointerLeave"
+}
+
+// the marker types of the annotation colors, like in the PGN comment command "[%csl Ge4,Rd5]"
+export const ANNOTATION_MARKER_TYPE = {
+    G: MARKER_TYPE.circleSuccess,
+    R: MARKER_TYPE.circleDanger,
+    Y: MARKER_TYPE.circleWarning,
+    B: MARKER_TYPE.circlePrimary
 }
 
 export class Markers extends Extension {
 
+    /**
+     * Registers an own marker type at runtime, adds it as `MARKER_TYPE[name]`.
+     * @param name the name of the type, like "star"
+     * @param type the marker type, like `{class: "marker-star", svg: '<polygon points="…"/>'}`, with `slice`, `svg`
+     * or `draw` for the shape, see `MARKER_TYPE`
+     * @returns {Object} the registered type
+     */
+    static registerMarkerType(name, type) {
+        if (MARKER_TYPE[name]) {
+            throw Error(`marker type "${name}" already registered`)
+        }
+        if (!type.class || !(type.slice || type.svg || type.draw)) {
+            throw Error(`marker type "${name}" needs a class and a slice, svg or draw`)
+        }
+        MARKER_TYPE[name] = type
+        return type
+    }
+
     /** @constructor */
     constructor(chessboard, props = {}) {
         super(chessboard)
@@ -30,7 +68,8 @@ export class Markers extends Extension {
         })
         this.props = {
             autoMarkers: MARKER_TYPE.frame, // set to `null` to disable autoMarkers
-            sprite: "extensions/markers/markers.svg" // the sprite file of the markers
+            sprite: "extensions/markers/markers.svg", // the sprite file of the markers
+            eventHandler: undefined // called with the `MARKER_EVENT_TYPE` events of the interactive markers
         }
         Object.assign(this.props, props)
         if (chessboard.props.assetsCache) {
@@ -44,6 +83,20 @@ export class Markers extends Extension {
         this.markerGroupDown = Svg.addElement(chessboard.view.markersLayer, "g", {class: "markers"})
         this.markerGroupUp = Svg.addElement(chessboard.view.markersTopLayer, "g", {class: "markers"})
         this.markers = []
+        // the markers are below the pieces and let the pointer through to the squares, so that the move input
+        // works on them, their events are the ones of their squares
+        this.hoverSquare = null
+        this.clickListener = this.onSquareClick.bind(this)
+        this.pointerOverListener = this.onSquarePointerOver.bind(this)
+        this.pointerOutListener = this.onSquarePointerOut.bind(this)
+        chessboard.view.boardGroup.addEventListener("click", this.clickListener)
+        chessboard.view.boardGroup.addEventListener("pointerover", this.pointerOverListener)
+        chessboard.view.boardGroup.addEventListener("pointerout", this.pointerOutListener)
+        this.registerExtensionPoint(EXTENSION_POINT.destroy, () => {
+            chessboard.view.boardGroup.removeEventListener("click", this.clickListener)
+            chessboard.view.boardGroup.removeEventListener("pointerover", this.pointerOverListener)
+            chessboard.view.boardGroup.removeEventListener("pointerout", this.pointerOutListener)
+        })
         if (this.props.autoMarkers) {
             Object.assign(this.props.autoMarkers, this.props.autoMarkers)
             this.registerExtensionPoint(EXTENSION_POINT.moveInput, (event) => {
@@ -82,6 +135,87 @@ export class Markers extends Extension {
                 this.drawMarker(marker)
             }
         )
+        this.drawTitles()
+    }
+
+    // the tooltips of the markers are on their squares, which get the pointer
+    drawTitles() {
+        const squareRects = this.chessboard.view.boardGroup.querySelectorAll("[data-square]")
+        for (const squareRect of squareRects) {
+            const titles = this.markers.filter((marker) => marker.square === squareRect.getAttribute("data-square") &&
+                marker.options.title).map((marker) => marker.options.title)
+            let titleElement = squareRect.querySelector("title")
+            if (titles.length > 0) {
+                if (!titleElement) {
+                    titleElement = Svg.addElement(squareRect, "title")
+                }
+                titleElement.textContent = titles.join("\n")
+            } else if (titleElement) {
+                squareRect.removeChild(titleElement)
+            }
+        }
+    }
+
+    // only markers with the option `interactive` or a `title`, not the ones of the move input or other extensions
+    isInteractive(marker) {
+        const style = Object.assign({}, marker.type, marker.options)
+        return !!(style.interactive || style.title)
+    }
+
+    onSquareClick(event) {
+        const square = event.target.getAttribute && event.target.getAttribute("data-square")
+        if (square) {
+            this.dispatch(MARKER_EVENT_TYPE.click, square, event)
+        }
+    }
+
+    onSquarePointerOver(event) {
+        const square = event.target.getAttribute && event.target.getAttribute("data-square")
+        if (square && square !== this.hoverSquare) {
+            this.setHoverSquare(square, event)
+        }
+    }
+
+    onSquarePointerOut(event) {
+        const square = event.target.getAttribute && event.target.getAttribute("data-square")
+        const squareTo = event.relatedTarget && event.relatedTarget.getAttribute && event.relatedTarget.getAttribute("data-square")
+        if (square && square === this.hoverSquare && !squareTo) {
+            this.setHoverSquare(null, event)
+        }
+    }
+
+    setHoverSquare(square, event) {
+        if (this.hoverSquare) {
+            this.dispatch(MARKER_EVENT_TYPE.pointerLeave, this.hoverSquare, event)
+        }
+        this.hoverSquare = square
+        this.updateHover()
+        if (square) {
+            this.dispatch(MARKER_EVENT_TYPE.pointerEnter, square, event)
+        }
+    }
+
+    // the class "hover" is on the interactive markers of the square under the pointer
+    updateHover() {
+        for (const group of [this.markerGroupDown, this.markerGroupUp]) {
+            for (const markerGroup of group.querySelectorAll(".interactive")) {
+                if (markerGroup.getAttribute("data-square") === this.hoverSquare) {
+                    markerGroup.classList.add("hover")
+                } else {
+                    markerGroup.classList.remove("hover")
+                }
+            }
+        }
+    }
+
+    dispatch(type, square, event) {
+        if (this.props.eventHandler) {
+            for (const marker of this.getMarkers(undefined, square).filter((marker) => this.isInteractive(marker))) {
+                this.props.eventHandler({
+                    chessboard: this.chessboard, type: type, marker: marker, square: square, event: event
+                })
+            }
+        }
     }
 
     addLegalMovesMarkers(moves) {
@@ -110,25 +244,82 @@ export class Markers extends Extension {
             markerGroup = Svg.addElement(this.markerGroupDown, "g")
         }
         markerGroup.setAttribute("data-square", marker.square)
+        if (this.isInteractive(marker)) {
+            markerGroup.classList.add("interactive")
+            if (marker.square === this.hoverSquare) {
+                markerGroup.classList.add("hover")
+            }
+        }
         const point = this.chessboard.view.squareToPoint(marker.square)
         const transform = (this.chessboard.view.svg.createSVGTransform())
         transform.setTranslate(point.x, point.y)
         markerGroup.transform.baseVal.appendItem(transform)
-        const spriteUrl = this.chessboard.props.assetsCache ? "" : this.getSpriteUrl()
-        const markerUse = Svg.addElement(markerGroup, "use",
-            {href: `${spriteUrl}#${marker.type.slice}`, class: "marker " + marker.type.class})
+        // the options of the marker override the ones of its type
+        const style = Object.assign({}, marker.type, marker.options)
+        let shape = null
+        if (marker.type.slice) {
+            const spriteUrl = this.chessboard.props.assetsCache ? "" : this.getSpriteUrl()
+            shape = Svg.addElement(markerGroup, "use",
+                {href: `${spriteUrl}#${marker.type.slice}`, class: "marker " + marker.type.class})
+        } else if (marker.type.svg || marker.type.draw) {
+            shape = Svg.addElement(markerGroup, "g", {class: "marker " + marker.type.class})
+            if (marker.type.svg) {
+                Svg.addMarkup(shape, marker.type.svg)
+            } else {
+                marker.type.draw(shape, marker, this.chessboard)
+            }
+        }
+        if (shape) {
+            const transformScale = (this.chessboard.view.svg.createSVGTransform())
+            transformScale.setScale(this.chessboard.view.scalingX, this.chessboard.view.scalingY)
+            shape.transform.baseVal.appendItem(transformScale)
+            const inlineStyle = ["fill", "stroke", "opacity"].filter((property) => style[property] !== undefined)
+                .map((property) => `${property}: ${style[property]}`).join("; ")
+            if (inlineStyle) {
+                shape.setAttribute("style", inlineStyle)
+            }
+        }
+        if (style.text !== undefined && style.text !== null) {
+            this.drawText(markerGroup, marker, style)
+        }
+        return markerGroup
+    }
+
+    // the text is set in the 40x40 units of the sprite slices, so it scales like them
+    drawText(markerGroup, marker, style) {
+        const corner = style.corner || "center"
+        const fontSize = style.fontSize || (corner === "center" ? 20 : 12)
+        const x = corner === "center" ? 20 : corner.endsWith("Left") ? 3 : 37
+        const y = corner === "center" ? 20 : corner.startsWith("top") ? 3 : 37
+        const text = Svg.addElement(markerGroup, "text", {
+            x: x, y: y, "font-size": fontSize, class: "marker " + marker.type.class,
+            "text-anchor": corner === "center" ? "middle" : corner.endsWith("Left") ? "start" : "end",
+            "dominant-baseline": corner === "center" ? "central" : corner.startsWith("top") ? "hanging" : "alphabetic"
+        })
+        if (style.color) {
+            text.setAttribute("style", `fill: ${style.color}`)
+        }
+        text.textContent = style.text
         const transformScale = (this.chessboard.view.svg.createSVGTransform())
         transformScale.setScale(this.chessboard.view.scalingX, this.chessboard.view.scalingY)
-        markerUse.transform.baseVal.appendItem(transformScale)
-        return markerGroup
+        text.transform.baseVal.appendItem(transformScale)
     }
 
-    addMarker(type, square) {
+    /**
+     * @param type the type of the marker, like `MARKER_TYPE.frame`
+     * @param square the square of the marker
+     * @param options override the type for this marker, `{fill, stroke, opacity, text, fontSize, color, corner,
+     * title, interactive}`, `fill`, `stroke` and `opacity` color the shape, `title` is shown as tooltip on the square,
+     * `interactive` or `title` send the events to the `eventHandler`, `text` draws a text on the square, like a number, `fontSize`
+     * is in the units of the square, which is 40 wide, `corner` is "center" (default), "topLeft", "topRight",
+     * "bottomLeft" or "bottomRight"
+     */
+    addMarker(type, square, options = {}) {
         if (typeof type === "string" || typeof square === "object") { // todo remove 2022-12-01
             console.error("changed the signature of `addMarker` to `(type, square)` with v5.1.x")
             return
         }
-        this.markers.push(new Marker(square, type))
+        this.markers.push(new Marker(square, type, options))
         this.onRedrawBoard()
     }
 
@@ -165,9 +356,10 @@ export class Markers extends Extension {
 }
 
 class Marker {
-    constructor(square, type) {
+    constructor(square, type, options = {}) {
         this.square = square
         this.type = type
+        this.options = options
     }
 
     matches(square = undefined, type = undefined) {
@@ -0,0 +1,428 @@
+/**
+ * Author and copyright: Stefan Haack (https://shaack.com)
+ * Repository: https://github.com/shaack/cm-chessboard
+ * License: MIT, see file 'LICENSE'
+ */
+import {Extension, EXTENSION_POINT} from "../../model/Extension.js"
+import {COLOR} from "../../Chessboard.js"
+import {Position} from "../../model/Position.js"
+import {Rules} from "../../model/Rules.js"
+import {Notation} from "../../model/Notation.js"
+import {Pgn} from "../../model/Pgn.js"
+
+export const MOVE_HISTORY_EVENT_TYPE = {
+    moveAdded: "moveAdded", // a move was made on the board and added to the history
+    currentChanged: "currentChanged", // navigated to another move
+    reset: "reset" // the history starts again, with a position not reachable by a move
+}
+
+export const INPUT_IN_PAST = {
+    disabled: "disabled", // disable the move input, while not on the last move
+    newVariation: "newVariation" // a move in the past starts a new variation
+}
+
+/**
+ * Records the moves made on the board, by input or API, renders them as clickable move list and lets
+ * the user step back and forth with the arrow keys or buttons.
+ *
+ * The history is a tree of nodes `{ply, move, san, fen, parent, children, comment, commentBefore, nags, annotations}`, the root node
+ * holds the start position, `children[0]` is the main continuation, the other children are variations.
+ */
+export class MoveHistory extends Extension {
+
+    /** @constructor */
+    constructor(chessboard, props = {}) {
+        super(chessboard)
+        this.props = {
+            inputInPast: INPUT_IN_PAST.disabled, // what happens with the move input, after going back in the history
+            element: undefined, // the element to render the move list in, by default it is added after the board
+            language: "en", // the language of the piece letters, "en" or "de"
+            figurines: false, // render the pieces as figurines, like "♘f3"
+            buttons: true, // render the navigation buttons
+            eventHandler: undefined // called with the `MOVE_HISTORY_EVENT_TYPE` events
+        }
+        Object.assign(this.props, props)
+        this.listeners = [] // other extensions, which follow the history, see `addListener`
+        this.registerExtensionPoint(EXTENSION_POINT.positionChanged, this.onPositionChanged.bind(this))
+        this.registerExtensionPoint(EXTENSION_POINT.destroy, this.onDestroy.bind(this))
+        this.keyDownListener = this.onKeyDown.bind(this)
+        this.chessboard.context.addEventListener("keydown", this.keyDownListener)
+        this.createPanel()
+        this.reset(chessboard.state.position.getFen())
+        chessboard.getHistory = this.getHistory.bind(this)
+        chessboard.getHistoryCurrent = this.getHistoryCurrent.bind(this)
+        chessboard.historyGoTo = this.goTo.bind(this)
+        chessboard.historyBack = this.back.bind(this)
+        chessboard.historyForward = this.forward.bind(this)
+        chessboard.historyStart = this.start.bind(this)
+        chessboard.historyEnd = this.end.bind(this)
+        chessboard.resetHistory = this.reset.bind(this)
+        chessboard.loadHistory = this.loadHistory.bind(this)
+    }
+
+    /**
+     * Calls `listener` with the `MOVE_HISTORY_EVENT_TYPE` events, like the `eventHandler` of the props, for
+     * extensions which follow the history.
+     */
+    addListener(listener) {
+        this.listeners.push(listener)
+    }
+
+    removeListener(listener) {
+        this.listeners = this.listeners.filter((other) => other !== listener)
+    }
+
+    /**
+     * @returns {Object} the root node of the history, with the start position
+     */
+    getHistory() {
+        return this.root
+    }
+
+    /**
+     * @returns {Object} the node of the move, which is shown on the board
+     */
+    getHistoryCurrent() {
+        return this.current
+    }
+
+    /**
+     * Starts a new history with `fen` as start position.
+     */
+    reset(fen = this.chessboard.state.position.getFen()) {
+        this.nodes = []
+        this.root = this.createNode(null, null, null, fen)
+        this.current = this.root
+        this.updateInput()
+        this.redrawPanel()
+        this.dispatch(MOVE_HISTORY_EVENT_TYPE.reset)
+    }
+
+    /**
+     * Replaces the history with the tree of `root`, like the one of `Pgn.parse`, and shows its start position.
+     */
+    loadHistory(root, animated = false) {
+        this.nodes = []
+        const addNode = (node) => {
+            node.id = this.nodes.length
+            this.nodes.push(node)
+            if (node.move) {
+                node.san = this.renderSan(this.createPosition(node.parent.fen), node.move)
+            }
+            node.children.forEach(addNode)
+        }
+        addNode(root)
+        this.root = root
+        this.current = root
+        this.updateInput()
+        this.redrawPanel()
+        this.dispatch(MOVE_HISTORY_EVENT_TYPE.reset)
+        return this.chessboard.setPosition(root.fen, animated)
+    }
+
+    /**
+     * Adds a move to the history at the current node, or follows it, if it is already there.
+     * @param move the move, like `{from: "e2", to: "e4"}`
+     * @returns {Object|null} the node of the move or `null`, if the move is not legal
+     */
+    addMove(move) {
+        const position = this.createPosition(this.current.fen)
+        const legalMove = Rules.findMove(position, move.from, move.castlingRook || move.to, move.promotion)
+        if (!legalMove) {
+            return null
+        }
+        const existing = this.current.children.find((child) => Notation.toUci(child.move) === Notation.toUci(legalMove))
+        if (existing) {
+            this.current = existing
+        } else {
+            const node = this.createNode(this.current, legalMove, this.renderSan(position, legalMove),
+                Rules.makeMove(position, legalMove).getFen())
+            this.current.children.push(node)
+            this.current = node
+            this.dispatch(MOVE_HISTORY_EVENT_TYPE.moveAdded)
+        }
+        this.updateInput()
+        this.redrawPanel()
+        return this.current
+    }
+
+    /**
+     * Shows the position after the move of `node` on the board.
+     */
+    goTo(node, animated = true) {
+        if (!node || node === this.current) {
+            return Promise.resolve()
+        }
+        const previous = this.current
+        this.current = node
+        this.updateInput()
+        this.redrawPanel()
+        this.dispatch(MOVE_HISTORY_EVENT_TYPE.currentChanged)
+        if (node.parent === previous) {
+            return this.chessboard.makeMove(node.move, animated)
+        }
+        return this.chessboard.setPosition(node.fen, animated)
+    }
+
+    back() {
+        return this.goTo(this.current.parent)
+    }
+
+    forward() {
+        return this.goTo(this.current.children[0])
+    }
+
+    start() {
+        return this.goTo(this.root)
+    }
+
+    end() {
+        let node = this.current
+        while (node.children.length > 0) {
+            node = node.children[0]
+        }
+        return this.goTo(node)
+    }
+
+    // private
+
+    createNode(parent, move, san, fen) {
+        const node = {
+            id: this.nodes.length,
+            ply: parent ? parent.ply + 1 : 0,
+            move: move,
+            san: san,
+            fen: fen,
+            parent: parent,
+            children: [],
+            comment: null,
+            commentBefore: null,
+            nags: [],
+            annotations: null
+        }
+        this.nodes.push(node)
+        return node
+    }
+
+    renderSan(position, move) {
+        if (this.props.figurines) {
+            return Notation.toFigurine(position, move)
+        }
+        return Notation.toSan(position, move, this.props.language)
+    }
+
+    createPosition(fen) {
+        return new Position(fen, this.chessboard.state.position.files, this.chessboard.state.position.ranks)
+    }
+
+    onPositionChanged() {
+        const position = this.chessboard.state.position
+        const previous = this.createPosition(this.current.fen)
+        // the squares, which were emptied or filled, the move is looked up by them
+        const changedSquares = []
+        for (let i = 0; i < position.squares.length; i++) {
+            if ((position.squares[i] || null) !== (previous.squares[i] || null)) {
+                changedSquares.push(position.indexToSquare(i))
+            }
+        }
+        if (changedSquares.length === 0) {
+            return
+        }
+        // the start position may be set without the side to move, then also try the other side
+        const turns = this.current === this.root ? [previous.turn, previous.turn === "w" ? "b" : "w"] : [previous.turn]
+        for (const turn of turns) {
+            previous.turn = turn
+            const moves = Rules.getMoves(previous)
+            const move = moves.find((move) => this.isPlacement(position, changedSquares, this.getPlacementAfter(previous, move)))
+            if (move) {
+                this.current.fen = previous.getFen()
+                this.addMove(move)
+                return
+            }
+            // the move input moved only the piece of a promotion or en passant, the app will complete the move
+            if (moves.find((move) => this.isPlacement(position, changedSquares,
+                {[move.from]: null, [move.to]: previous.getPiece(move.from)}))) {
+                return
+            }
+        }
+        this.reset(position.getFen())
+    }
+
+    /**
+     * @returns {Object} the pieces on the squares, which are changed by `move`, like `{e2: null, e4: "wp"}`
+     */
+    getPlacementAfter(position, move) {
+        const placement = {}
+        if (move.castlingRook) {
+            const castling = position.getCastlingMove(move.from, move.castlingRook)
+            placement[castling.kingSquareFrom] = null
+            placement[castling.rookSquareFrom] = null
+            placement[castling.kingSquareTo] = position.getPiece(castling.kingSquareFrom)
+            placement[castling.rookSquareTo] = position.getPiece(castling.rookSquareFrom)
+        } else {
+            placement[move.from] = null
+            if (move.enPassantCapture) {
+                placement[move.enPassantCapture] = null
+            }
+            placement[move.to] = move.promotion ? move.color + move.promotion : position.getPiece(move.from)
+        }
+        return placement
+    }
+
+    // true, if exactly the squares of `placement` changed, to its pieces
+    isPlacement(position, changedSquares, placement) {
+        return changedSquares.every((square) => square in placement) &&
+            Object.keys(placement).every((square) => (position.getPiece(square) || null) === placement[square])
+    }
+
+    updateInput() {
+        if (this.props.inputInPast !== INPUT_IN_PAST.disabled) {
+            return
+        }
+        const state = this.chessboard.state
+        if (this.current.children.length > 0 && state.moveInputCallback) {
+            this.savedInput = {
+                callback: state.moveInputCallback,
+                color: state.inputWhiteEnabled && state.inputBlackEnabled ? undefined :
+                    state.inputWhiteEnabled ? COLOR.white : COLOR.black
+            }
+            this.chessboard.disableMoveInput()
+        } else if (this.current.children.length === 0 && this.savedInput) {
+            if (!state.moveInputCallback) {
+                this.chessboard.enableMoveInput(this.savedInput.callback, this.savedInput.color)
+            }
+            this.savedInput = null
+        }
+    }
+
+    onKeyDown(event) {
+        const actions = {
+            ArrowLeft: this.back, ArrowRight: this.forward, Home: this.start, End: this.end
+        }
+        if (actions[event.key] && !event.defaultPrevented) {
+            event.preventDefault()
+            actions[event.key].call(this)
+        }
+    }
+
+    dispatch(type) {
+        const event = {
+            chessboard: this.chessboard,
+            type: type,
+            node: this.current,
+            ply: this.current.ply,
+            fen: this.current.fen
+        }
+        for (const listener of this.listeners) {
+            listener(event)
+        }
+        if (this.props.eventHandler) {
+            this.props.eventHandler(event)
+        }
+    }
+
+    createPanel() {
+        this.panel = this.props.element || document.createElement("div")
+        this.panel.classList.add("cm-chessboard-move-history")
+        if (!this.props.element) {
+            this.chessboard.context.parentNode.insertBefore(this.panel, this.chessboard.context.nextSibling)
+        }
+        this.movesElement = document.createElement("div")
+        this.movesElement.classList.add("moves")
+        this.movesElement.setAttribute("tabindex", "0")
+        this.movesElement.addEventListener("keydown", this.keyDownListener)
+        this.movesElement.addEventListener("click", (event) => {
+            const id = event.target.getAttribute("data-node")
+            if (id !== null) {
+                this.goTo(this.nodes[parseInt(id, 10)])
+            }
+        })
+        this.panel.appendChild(this.movesElement)
+        if (this.props.buttons) {
+            const buttons = document.createElement("div")
+            buttons.classList.add("buttons")
+            const actions = [
+                ["⏮", "Start", this.start], ["◀", "Back", this.back], ["▶", "Forward", this.forward], ["⏭", "End", this.end]
+            ]
+            for (const action of actions) {
+                const button = document.createElement("button")
+                button.setAttribute("type", "button")
+                button.setAttribute("aria-label", action[1])
+                button.textContent = action[0]
+                button.addEventListener("click", action[2].bind(this))
+                buttons.appendChild(button)
+            }
+            this.panel.appendChild(buttons)
+        }
+    }
+
+    redrawPanel() {
+        this.movesElement.innerHTML = ""
+        if (this.root.comment) {
+            this.renderComment(this.movesElement, this.root.comment)
+        }
+        this.renderLine(this.movesElement, this.root, true)
+    }
+
+    // renders the main continuation of `node` and its variations in parentheses
+    renderLine(parentElement, node, forceNumber) {
+        while (node.children.length > 0) {
+            const main = node.children[0]
+            this.renderMove(parentElement, main, forceNumber)
+            forceNumber = !!main.comment
+            for (const variationStart of node.children.slice(1)) {
+                const variation = document.createElement("span")
+                variation.classList.add("variation")
+                variation.appendChild(document.createTextNode("("))
+                this.renderMove(variation, variationStart, true)
+                this.renderLine(variation, variationStart, false)
+                variation.appendChild(document.createTextNode(")"))
+                parentElement.appendChild(variation)
+                forceNumber = true
+            }
+            node = main
+        }
+    }
+
+    renderMove(parentElement, node, forceNumber) {
+        const white = node.move.color === COLOR.white
+        if (node.commentBefore) {
+            this.renderComment(parentElement, node.commentBefore)
+        }
+        if (white || forceNumber) {
+            const moveNumber = document.createElement("span")
+            moveNumber.classList.add("move-number")
+            moveNumber.textContent = this.createPosition(node.parent.fen).fullMoveNumber + (white ? "." : "...")
+            parentElement.appendChild(moveNumber)
+        }
+        const move = document.createElement("span")
+        move.classList.add("move")
+        if (node === this.current) {
+            move.classList.add("current")
+            move.setAttribute("aria-current", "true")
+        }
+        move.setAttribute("data-node", node.id)
+        move.textContent = node.san + node.nags.map((nag) => Pgn.renderNag(nag)).join("")
+        parentElement.appendChild(move)
+        if (node.comment) {
+            this.renderComment(parentElement, node.comment)
+        }
+    }
+
+    renderComment(parentElement, text) {
+        const comment = document.createElement("span")
+        comment.classList.add("comment")
+        comment.textContent = text
+        parentElement.appendChild(comment)
+    }
+
+    onDestroy() {
+        this.chessboard.context.removeEventListener("keydown", this.keyDownListener)
+        if (!this.props.element) {
+            this.panel.parentNode.removeChild(this.panel)
+        } else {
+            this.panel.innerHTML = ""
+        }
+    }
+
+}
@@ -0,0 +1,294 @@
+/**
+ * Author and copyright: Stefan Haack (https://shaack.com)
+ * Repository: https://github.com/shaack/cm-chessboard
+ * License: MIT, see file 'LICENSE'
+ */
+import {Extension, EXTENSION_POINT} from "../../model/Extension.js"
+import {Pgn} from "../../model/Pgn.js"
+import {MOVE_HISTORY_EVENT_TYPE, MoveHistory} from "../move-history/MoveHistory.js"
+import {ANNOTATION_MARKER_TYPE} from "../markers/Markers.js"
+import {ANNOTATION_ARROW_TYPE} from "../arrows/Arrows.js"
+
+export const PGN_REPLAY_EVENT_TYPE = {
+    loaded: "loaded", // a PGN was loaded, the board shows the start position
+    currentChanged: "currentChanged", // the board shows another move of the game
+    autoplayStarted: "autoplayStarted",
+    autoplayStopped: "autoplayStopped" // stopped by `stopAutoplay` or at the end of the line
+}
+
+/**
+ * Loads a game in PGN into the MoveHistory extension and replays it, step by step, automatically or by jumping
+ * to a ply, into a variation or back to the main line. Add the MoveHistory extension before this one.
+ *
+ * The graphical annotations of the comments, like "[%csl Ge4][%cal Ge2e4]", are shown with the Markers and Arrows
+ * extensions, if they are added. Markers and arrows of the annotation types belong to the current move, so also
+ * the ones drawn by the user are written by `getPgn`.
+ */
+export class PgnReplay extends Extension {
+
+    /** @constructor */
+    constructor(chessboard, props = {}) {
+        super(chessboard)
+        this.props = {
+            autoplayDelay: 1000, // the time in ms between the moves of the autoplay
+            markerTypes: ANNOTATION_MARKER_TYPE, // the marker types of the annotation colors of "[%csl]"
+            arrowTypes: ANNOTATION_ARROW_TYPE, // the arrow types of the annotation colors of "[%cal]"
+            eventHandler: undefined // called with the `PGN_REPLAY_EVENT_TYPE` events
+        }
+        Object.assign(this.props, props)
+        this.moveHistory = chessboard.getExtension(MoveHistory)
+        if (!this.moveHistory) {
+            throw Error("the PgnReplay extension needs the MoveHistory extension, add it before")
+        }
+        this.headers = {}
+        this.result = "*"
+        this.autoplaying = false
+        // follow the history, also when navigated with its move list, keys and buttons
+        this.historyListener = this.onHistoryEvent.bind(this)
+        this.moveHistory.addListener(this.historyListener)
+        this.registerExtensionPoint(EXTENSION_POINT.destroy, () => {
+            clearTimeout(this.autoplayTimeout)
+            this.moveHistory.removeListener(this.historyListener)
+        })
+        chessboard.loadPgn = this.loadPgn.bind(this)
+        chessboard.getPgnHeaders = this.getHeaders.bind(this)
+        chessboard.goToPly = this.goToPly.bind(this)
+        chessboard.getVariations = this.getVariations.bind(this)
+        chessboard.enterVariation = this.enterVariation.bind(this)
+        chessboard.leaveVariation = this.leaveVariation.bind(this)
+        chessboard.startAutoplay = this.startAutoplay.bind(this)
+        chessboard.stopAutoplay = this.stopAutoplay.bind(this)
+        chessboard.setAutoplayDelay = this.setAutoplayDelay.bind(this)
+        chessboard.isAutoplaying = this.isAutoplaying.bind(this)
+        chessboard.getPgn = this.getPgn.bind(this)
+        chessboard.getAnnotations = this.getAnnotations.bind(this)
+        chessboard.setAnnotations = this.setAnnotations.bind(this)
+    }
+
+    /**
+     * Loads the game and shows its start position. Throws an `Error`, if the PGN contains illegal moves.
+     */
+    loadPgn(pgn) {
+        const position = this.chessboard.state.position
+        const game = Pgn.parse(pgn, position.files, position.ranks)
+        this.stopAutoplay()
+        this.headers = game.headers
+        this.result = game.result
+        const promise = this.moveHistory.loadHistory(game.root)
+        this.dispatch(PGN_REPLAY_EVENT_TYPE.loaded)
+        return promise
+    }
+
+    /**
+     * @returns {string} the game as PGN, with the variations, comments, NAGs and the annotations of the moves
+     */
+    getPgn() {
+        this.showAnnotations() // store the annotations of the current move
+        const position = this.chessboard.state.position
+        return Pgn.render({headers: this.headers, root: this.moveHistory.root, result: this.result},
+            position.files, position.ranks)
+    }
+
+    /**
+     * @returns {string} the markers and arrows of the annotation types on the board, like "[%csl Ge4][%cal Ge2e4]"
+     */
+    getAnnotations() {
+        const annotations = this.readAnnotations()
+        return Pgn.renderAnnotations(annotations.markers, annotations.arrows)
+    }
+
+    /**
+     * Replaces the annotations on the board with the ones of the comment, like "[%csl Ge4,Rd5][%cal Ge2e4]".
+     */
+    setAnnotations(comment) {
+        const parsed = Pgn.parseAnnotations(comment)
+        this.moveHistory.current.annotations = {markers: parsed.markers, arrows: parsed.arrows}
+        this.annotatedNode = null
+        this.showAnnotations()
+    }
+
+    /**
+     * @returns {Object} the headers of the game, like `{White: "Morphy, Paul", Black: "..."}`
+     */
+    getHeaders() {
+        return Object.assign({}, this.headers)
+    }
+
+    /**
+     * Goes to the ply in the current line, 0 is the start position. Plies after the current move follow the main line.
+     */
+    goToPly(ply, animated = true) {
+        let node = this.moveHistory.current
+        while (node.ply > ply && node.parent) {
+            node = node.parent
+        }
+        while (node.ply < ply && node.children.length > 0) {
+            node = node.children[0]
+        }
+        return this.moveHistory.goTo(node, animated)
+    }
+
+    /**
+     * @returns {Object[]} the first nodes of the variations, which are alternatives to the next move of the main line
+     */
+    getVariations() {
+        return this.moveHistory.current.children.slice(1)
+    }
+
+    /**
+     * Plays the first move of the variation `index` of `getVariations()`.
+     */
+    enterVariation(index = 0) {
+        return this.moveHistory.goTo(this.getVariations()[index])
+    }
+
+    /**
+     * Goes back to the position, where the current variation branches off, the next move continues the main line.
+     */
+    leaveVariation() {
+        let node = this.moveHistory.current
+        while (node.parent && node.parent.children[0] === node) {
+            node = node.parent
+        }
+        return this.moveHistory.goTo(node.parent)
+    }
+
+    startAutoplay() {
+        if (!this.autoplaying) {
+            this.autoplaying = true
+            this.dispatch(PGN_REPLAY_EVENT_TYPE.autoplayStarted)
+            this.scheduleAutoplay()
+        }
+    }
+
+    stopAutoplay() {
+        if (this.autoplaying) {
+            clearTimeout(this.autoplayTimeout)
+            this.autoplaying = false
+            this.dispatch(PGN_REPLAY_EVENT_TYPE.autoplayStopped)
+        }
+    }
+
+    /**
+     * Sets the speed of the autoplay, also while it is playing.
+     * @param delay the time in ms between the moves
+     */
+    setAutoplayDelay(delay) {
+        this.props.autoplayDelay = delay
+        if (this.autoplaying) {
+            this.scheduleAutoplay()
+        }
+    }
+
+    isAutoplaying() {
+        return this.autoplaying
+    }
+
+    // private
+
+    onHistoryEvent(event) {
+        if (event.type === MOVE_HISTORY_EVENT_TYPE.reset) {
+            // a new tree, the annotations on the board belong to none of its nodes
+            this.annotatedNode = null
+            this.showAnnotations()
+        } else if (event.type === MOVE_HISTORY_EVENT_TYPE.currentChanged || event.type === MOVE_HISTORY_EVENT_TYPE.moveAdded) {
+            this.showAnnotations()
+            this.dispatch(PGN_REPLAY_EVENT_TYPE.currentChanged)
+        }
+    }
+
+    // stores the annotations on the board in the node, which was shown, and draws the ones of the current node
+    showAnnotations() {
+        const node = this.moveHistory.current
+        if (this.annotatedNode) {
+            const annotations = this.readAnnotations()
+            this.annotatedNode.annotations = annotations.markers.length > 0 || annotations.arrows.length > 0 ?
+                annotations : null
+        }
+        this.annotatedNode = node
+        const chessboard = this.chessboard
+        for (const color of Object.keys(this.props.markerTypes)) {
+            if (chessboard.removeMarkers) {
+                chessboard.removeMarkers(this.props.markerTypes[color])
+            }
+        }
+        for (const color of Object.keys(this.props.arrowTypes)) {
+            if (chessboard.removeArrows) {
+                chessboard.removeArrows(this.props.arrowTypes[color])
+            }
+        }
+        if (node.annotations) {
+            for (const marker of node.annotations.markers) {
+                if (chessboard.addMarker && this.props.markerTypes[marker.color]) {
+                    chessboard.addMarker(this.props.markerTypes[marker.color], marker.square)
+                }
+            }
+            for (const arrow of node.annotations.arrows) {
+                if (chessboard.addArrow && this.props.arrowTypes[arrow.color]) {
+                    chessboard.addArrow(this.props.arrowTypes[arrow.color], arrow.from, arrow.to)
+                }
+            }
+        }
+    }
+
+    readAnnotations() {
+        const markers = []
+        const arrows = []
+        if (!this.chessboard.getMarkers || !this.chessboard.getArrows) {
+            // without the extensions, the annotations of the node stay unchanged
+            const annotations = this.annotatedNode && this.annotatedNode.annotations
+            return annotations || {markers: markers, arrows: arrows}
+        }
+        for (const color of Object.keys(this.props.markerTypes)) {
+            for (const marker of this.chessboard.getMarkers(this.props.markerTypes[color])) {
+                markers.push({square: marker.square, color: color})
+            }
+        }
+        for (const color of Object.keys(this.props.arrowTypes)) {
+            for (const arrow of this.chessboard.getArrows(this.props.arrowTypes[color])) {
+                arrows.push({from: arrow.from, to: arrow.to, color: color})
+            }
+        }
+        return {markers: markers, arrows: arrows}
+    }
+
+    scheduleAutoplay() {
+        clearTimeout(this.autoplayTimeout)
+        this.autoplayTimeout = setTimeout(() => {
+            if (this.moveHistory.current.children.length === 0) {
+                this.stopAutoplay()
+                return
+            }
+            this.moveHistory.forward().then(() => {
+                if (this.autoplaying) {
+                    this.scheduleAutoplay()
+                }
+            })
+        }, this.props.autoplayDelay)
+    }
+
+    dispatch(type) {
+        if (this.props.eventHandler) {
+            const node = this.moveHistory.current
+            this.props.eventHandler({
+                chessboard: this.chessboard,
+                type: type,
+                node: node,
+                ply: node.ply,
+                fen: node.fen,
+                variations: node.children.slice(1),
+                inVariation: this.isInVariation(node)
+            })
+        }
+    }
+
+    isInVariation(node) {
+        for (; node.parent; node = node.parent) {
+            if (node.parent.children[0] !== node) {
+                return true
+            }
+        }
+        return false
+    }
+
+}
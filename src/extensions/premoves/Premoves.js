@@ -0,0 +1,196 @@
+/**
+ * Author and copyright: Stefan Haack (https://shaack.com)
+ * Repository: https://github.com/shaack/cm-chessboard
+ * License: MIT, see file 'LICENSE'
+ */
+import {Extension, EXTENSION_POINT} from "../../model/Extension.js"
+import {COLOR, INPUT_EVENT_TYPE, VALIDATION_RESULT} from "../../Chessboard.js"
+import {PositionsAnimation} from "../../view/PositionAnimationsQueue.js"
+
+export const PREMOVE_MARKER_TYPE = {class: "marker-premove", slice: "markerSquare"}
+export const PREMOVE_ARROW_TYPE = {class: "arrow-premove", slice: "arrowDefault", headSize: 7}
+
+/**
+ * Lets the player enter moves, while it is the opponent's turn. These premoves are recorded instead of
+ * sent to `validateMoveInput` and executed, when `setPosition` delivers the reply of the opponent.
+ * Meanwhile the view shows the premoved pieces on their target squares, the position of the board is not changed.
+ * Needs the side to move in the position, so set the positions as full FEN, and the input enabled for
+ * one color, like `enableMoveInput(eventHandler, COLOR.white)`, also while the opponent thinks.
+ */
+export class Premoves extends Extension {
+
+    /** @constructor */
+    constructor(chessboard, props = {}) {
+        super(chessboard)
+        this.props = {
+            maxPremoves: 10, // the maximum number of chained premoves
+            promotion: "q", // premoves of pawns to the last rank promote to this piece
+            markers: true, // mark the squares of the premoves, needs the Markers extension
+            arrows: true // draw arrows for the premoves, needs the Arrows extension
+        }
+        Object.assign(this.props, props)
+        this.premoves = []
+        this.color = null
+        this.lastTurn = chessboard.state.position.turn
+        this.registerExtensionPoint(EXTENSION_POINT.moveInputToggled, this.onMoveInputToggled.bind(this))
+        this.registerExtensionPoint(EXTENSION_POINT.positionChanged, this.onPositionChanged.bind(this))
+        this.registerExtensionPoint(EXTENSION_POINT.destroy, () => {
+            chessboard.view.svg.removeEventListener("contextmenu", this.contextMenuListener)
+        })
+        this.contextMenuListener = this.onContextMenu.bind(this)
+        chessboard.view.svg.addEventListener("contextmenu", this.contextMenuListener)
+        chessboard.getPremoves = this.getPremoves.bind(this)
+        chessboard.cancelPremoves = this.cancelPremoves.bind(this)
+    }
+
+    /**
+     * @returns {{from: string, to: string, promotion: string}[]} the recorded premoves, in the order of execution
+     */
+    getPremoves() {
+        return this.premoves.slice(0)
+    }
+
+    cancelPremoves() {
+        this.premoves = []
+        if (this.chessboard.view.displayPosition) { // move the premoved pieces back
+            this.chessboard.view.setDisplayPosition(null, true)
+        }
+        this.redrawPremoves()
+    }
+
+    // private
+
+    onMoveInputToggled(event) {
+        const state = this.chessboard.state
+        if (event.enabled && (event.color === COLOR.white || event.color === COLOR.black)) {
+            // record the input on the opponent's turn, instead of passing it to the event handler
+            this.color = event.color
+            const eventHandler = state.moveInputCallback
+            state.moveInputCallback = (moveInputEvent) => {
+                if (this.isWaiting()) {
+                    return this.onPremoveInput(moveInputEvent)
+                }
+                return eventHandler(moveInputEvent)
+            }
+            this.eventHandler = eventHandler
+        } else if (!event.enabled) {
+            this.color = null
+            this.eventHandler = null
+            this.cancelPremoves()
+        }
+    }
+
+    isWaiting() {
+        return this.color && this.chessboard.state.position.turn !== this.color
+    }
+
+    onPremoveInput(event) {
+        if (event.type === INPUT_EVENT_TYPE.moveInputStarted) {
+            return event.piece && event.piece.charAt(0) === this.color && this.premoves.length < this.props.maxPremoves
+        } else if (event.type === INPUT_EVENT_TYPE.validateMoveInput) {
+            const premove = {from: event.squareFrom, to: event.squareTo, promotion: undefined}
+            const toRank = parseInt(event.squareTo.substring(1), 10)
+            if (event.piece.charAt(1) === "p" && (toRank === 1 || toRank === this.chessboard.state.position.ranks)) {
+                premove.promotion = this.props.promotion
+            }
+            this.premoves.push(premove)
+            this.showPremoves(false)
+            this.redrawPremoves()
+            return VALIDATION_RESULT.recorded // not sent to the event handler, until the premove is executed
+        }
+    }
+
+    onPositionChanged() {
+        const turn = this.chessboard.state.position.turn
+        // execute only, when the turn changes to the player, not on the own moves
+        if (this.color && turn === this.color && this.lastTurn !== this.color && this.premoves.length > 0) {
+            setTimeout(() => { // after the position change of the reply is done
+                this.executePremove()
+            })
+        } else if (this.isWaiting() && this.premoves.length > 0) {
+            setTimeout(() => { // like after executing the first of chained premoves
+                if (!this.chessboard.view.displayPosition && this.isWaiting() && this.premoves.length > 0) {
+                    this.showPremoves(true)
+                }
+            })
+        }
+        this.lastTurn = turn
+    }
+
+    /**
+     * Shows the recorded premoves in a display position of the view, made from the position of the board.
+     * The extension points are not invoked, it is no position change.
+     */
+    showPremoves(animated) {
+        const position = this.chessboard.state.position.clone()
+        for (const premove of this.premoves) {
+            if (position.getPiece(premove.from)) {
+                const move = position.getMove(premove.from, premove.to, premove.promotion || this.props.promotion)
+                PositionsAnimation.applyChanges(position, PositionsAnimation.seekMoveChanges(position, move))
+            }
+        }
+        this.chessboard.view.setDisplayPosition(position, animated)
+    }
+
+    executePremove() {
+        const premove = this.premoves.shift()
+        const position = this.chessboard.state.position
+        const piece = position.getPiece(premove.from)
+        if (!piece || piece.charAt(0) !== this.color || !this.eventHandler || this.isWaiting()) {
+            this.cancelPremoves()
+            return
+        }
+        // made from the position of the board, with the captured pawn of en passant
+        const move = position.getMove(premove.from, premove.to, premove.promotion || this.props.promotion)
+        const validation = this.eventHandler({
+            chessboard: this.chessboard,
+            type: INPUT_EVENT_TYPE.validateMoveInput,
+            squareFrom: premove.from,
+            squareTo: premove.to,
+            piece: piece,
+            castling: position.getCastlingMove(premove.from, premove.to),
+            promotion: premove.promotion,
+            move: move,
+            premove: true
+        })
+        // the event handler may return a Promise, like for the validation on a server
+        Promise.resolve(validation).catch((error) => {
+            console.error("validateMoveInput failed", error)
+            return false
+        }).then((legal) => {
+            if (!this.chessboard.state) {
+                return // the board was destroyed meanwhile
+            }
+            if (!legal) {
+                this.cancelPremoves() // the following premoves are based on this one
+                return
+            }
+            this.redrawPremoves()
+            this.chessboard.makeMove(move, true)
+        })
+    }
+
+    onContextMenu(event) {
+        if (this.premoves.length > 0) {
+            event.preventDefault()
+            this.cancelPremoves()
+        }
+    }
+
+    redrawPremoves() {
+        if (this.props.markers && this.chessboard.removeMarkers) {
+            this.chessboard.removeMarkers(PREMOVE_MARKER_TYPE)
+            for (const premove of this.premoves) {
+                this.chessboard.addMarker(PREMOVE_MARKER_TYPE, premove.from)
+                this.chessboard.addMarker(PREMOVE_MARKER_TYPE, premove.to)
+            }
+        }
+        if (this.props.arrows && this.chessboard.removeArrows) {
+            this.chessboard.removeArrows(PREMOVE_ARROW_TYPE)
+            for (const premove of this.premoves) {
+                this.chessboard.addArrow(PREMOVE_ARROW_TYPE, premove.from, premove.to)
+            }
+        }
+    }
+
+}
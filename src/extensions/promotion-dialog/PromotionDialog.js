@@ -4,7 +4,7 @@
  * License: MIT, see file 'LICENSE'
  */
 import {Extension, EXTENSION_POINT} from "../../model/Extension.js"
-import {COLOR, PIECE} from "../../Chessboard.js"
+import {COLOR, PIECE, PieceTypes} from "../../Chessboard.js"
 import {Svg} from "../../lib/Svg.js"
 import {Utils} from "../../lib/Utils.js"
 
@@ -86,57 +86,30 @@ export class PromotionDialog extends Extension {
             squareCenterPoint.x = squareCenterPoint.x + squareWidth / 2
             squareCenterPoint.y = squareCenterPoint.y + squareHeight / 2
             let turned = false
-            const rank = parseInt(this.state.dialogParams.square.charAt(1), 10)
-            if (this.chessboard.getOrientation() === COLOR.white && rank < 5 ||
-                this.chessboard.getOrientation() === COLOR.black && rank >= 5) {
+            const rank = parseInt(this.state.dialogParams.square.substring(1), 10)
+            const middleRank = this.chessboard.props.boardSize.ranks / 2
+            if (this.chessboard.getOrientation() === COLOR.white && rank <= middleRank ||
+                this.chessboard.getOrientation() === COLOR.black && rank > middleRank) {
                 turned = true
             }
-            const offsetY = turned ? -4 * squareHeight : 0
+            const promotionTypes = PieceTypes.getPromotionTypes()
+            const offsetY = turned ? -promotionTypes.length * squareHeight : 0
             const offsetX = squareCenterPoint.x + squareWidth > this.chessboard.view.width ? -squareWidth : 0
             Svg.addElement(this.promotionDialogGroup,
                 "rect", {
                     x: squareCenterPoint.x + offsetX,
                     y: squareCenterPoint.y + offsetY,
                     width: squareWidth,
-                    height: squareHeight * 4,
+                    height: squareHeight * promotionTypes.length,
                     class: "promotion-dialog"
                 })
             const dialogParams = this.state.dialogParams
-            if (turned) {
-                this.drawPieceButton(PIECE[dialogParams.color + "q"], {
+            promotionTypes.forEach((type, i) => {
+                this.drawPieceButton(PIECE[dialogParams.color + type], {
                     x: squareCenterPoint.x + offsetX,
-                    y: squareCenterPoint.y - squareHeight
+                    y: turned ? squareCenterPoint.y - squareHeight * (i + 1) : squareCenterPoint.y + squareHeight * i
                 })
-                this.drawPieceButton(PIECE[dialogParams.color + "r"], {
-                    x: squareCenterPoint.x + offsetX,
-                    y: squareCenterPoint.y - squareHeight * 2
-                })
-                this.drawPieceButton(PIECE[dialogParams.color + "b"], {
-                    x: squareCenterPoint.x + offsetX,
-                    y: squareCenterPoint.y - squareHeight * 3
-                })
-                this.drawPieceButton(PIECE[dialogParams.color + "n"], {
-                    x: squareCenterPoint.x + offsetX,
-                    y: squareCenterPoint.y - squareHeight * 4
-                })
-            } else {
-                this.drawPieceButton(PIECE[dialogParams.color + "q"], {
-                    x: squareCenterPoint.x + offsetX,
-                    y: squareCenterPoint.y
-                })
-                this.drawPieceButton(PIECE[dialogParams.color + "r"], {
-                    x: squareCenterPoint.x + offsetX,
-                    y: squareCenterPoint.y + squareHeight
-                })
-                this.drawPieceButton(PIECE[dialogParams.color + "b"], {
-                    x: squareCenterPoint.x + offsetX,
-                    y: squareCenterPoint.y + squareHeight * 2
-                })
-                this.drawPieceButton(PIECE[dialogParams.color + "n"], {
-                    x: squareCenterPoint.x + offsetX,
-                    y: squareCenterPoint.y + squareHeight * 3
-                })
-            }
+            })
         }
     }
 
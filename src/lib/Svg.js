@@ -49,6 +49,34 @@ export class Svg {
         return element
     }
 
+    /**
+     * Add the elements of SVG markup, like `'<circle cx="20" cy="20" r="16"/>'`, to an SVG DOM. The markup is
+     * parsed as SVG, not as HTML, and scripts and event handler attributes are removed, it is for shapes only.
+     * @param parent
+     * @param markup
+     */
+    static addMarkup(parent, markup) {
+        const parsed = new DOMParser().parseFromString(`<svg xmlns="${SVG_NAMESPACE}">${markup}</svg>`, "image/svg+xml")
+        if (parsed.getElementsByTagName("parsererror").length > 0) {
+            console.warn("addMarkup, invalid SVG markup", markup)
+            return
+        }
+        for (const element of Array.from(parsed.documentElement.querySelectorAll("*"))) {
+            if (element.localName === "script" || element.localName === "foreignObject") {
+                element.remove()
+                continue
+            }
+            for (const attribute of Array.from(element.attributes)) {
+                if (/^on/i.test(attribute.name) || /^\s*javascript:/i.test(attribute.value)) {
+                    element.removeAttribute(attribute.name)
+                }
+            }
+        }
+        for (const child of Array.from(parsed.documentElement.childNodes)) {
+            parent.appendChild(document.importNode(child, true))
+        }
+    }
+
     /**
      * Remove an element from an SVG DOM
      * @param element
@@ -13,6 +13,7 @@ export const EXTENSION_POINT = {
     afterRedrawBoard: "afterRedrawBoard", // called after redrawing the board
     redrawBoard: "redrawBoard", // called after redrawing the board, DEPRECATED, use afterRedrawBoard 2023-09-18
     animation: "animation", // called on animation start, end, and on every animation frame
+    snapBack: "snapBack", // a moved piece goes back to its start square, because the move was canceled or rejected
     destroy: "destroy" // called, before the board is destroyed
 }
 
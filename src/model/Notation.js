@@ -0,0 +1,155 @@
+/**
+ * Author and copyright: Stefan Haack (https://shaack.com)
+ * Repository: https://github.com/shaack/cm-chessboard
+ * License: MIT, see file 'LICENSE'
+ */
+import {Position} from "./Position.js"
+import {Rules} from "./Rules.js"
+import {PieceTypes} from "./PieceTypes.js"
+
+const FIGURINES = {k: "♔", q: "♕", r: "♖", b: "♗", n: "♘"}
+
+/**
+ * Converts moves between the squares of a move input and UCI, SAN, long algebraic (LAN) and figurine
+ * notation. A move is `{from, to, promotion}`, like `{from: event.squareFrom, to: event.squareTo}` in
+ * `validateMoveInput`, or a move of `Rules`. The piece letters are localized with `PIECE_LETTERS` of
+ * `PieceTypes`, like "Sf3" for "Nf3" in German.
+ */
+export class Notation {
+
+    /**
+     * @param move the move
+     * @param chess960 write castling as king takes rook, like "e1h1", else as "e1g1"
+     * @returns {string} the move in UCI notation, like "e2e4" or "e7e8q"
+     */
+    static toUci(move, chess960 = false) {
+        const to = chess960 && move.castlingRook ? move.castlingRook : move.to
+        return move.from + to + (move.promotion || "")
+    }
+
+    /**
+     * @returns {Object|null} the legal move of the UCI string in `position`, or `null`
+     */
+    static fromUci(position, uci) {
+        const match = /^([a-z]\d+)([a-z]\d+)([a-z]?)$/.exec(uci)
+        if (!match) {
+            return null
+        }
+        return Rules.findMove(position, match[1], match[2], match[3] || undefined)
+    }
+
+    /**
+     * @returns {string|null} the move in standard algebraic notation, like "Nf3", "exd5", "O-O" or "e8=Q+",
+     * or `null`, if the move is not legal
+     */
+    static toSan(position, move, lang = "en") {
+        return renderMove(position, move, (type) => PieceTypes.getLetter(type, lang).toUpperCase(), false)
+    }
+
+    /**
+     * @returns {string|null} the move in long algebraic notation, like "Ng1-f3", "e4xd5" or "e7-e8=Q+"
+     */
+    static toLan(position, move, lang = "en") {
+        return renderMove(position, move, (type) => PieceTypes.getLetter(type, lang).toUpperCase(), true)
+    }
+
+    /**
+     * @returns {string|null} the move in figurine notation, like "♘f3", set `long` for long algebraic notation
+     */
+    static toFigurine(position, move, long = false) {
+        return renderMove(position, move, (type) => FIGURINES[type] || PieceTypes.getLetter(type, "en").toUpperCase(), long)
+    }
+
+    /**
+     * Parses a move in SAN, LAN or figurine notation, with the piece letters of `lang`.
+     * @returns {Object|null} the legal move or `null`, also if the notation matches more than one move
+     */
+    static fromSan(position, san, lang = "en") {
+        position = typeof position === "string" ? new Position(position) : position
+        const notation = san.replace(/[+#!?\s]/g, "")
+        const castling = /^([O0])-\1(-\1)?$/.exec(notation)
+        if (castling) {
+            const kingSide = !castling[2]
+            return Rules.getMoves(position).find((move) => move.castlingRook &&
+                (Position.squareToCoordinates(move.to)[0] === position.files - 2) === kingSide) || null
+        }
+        // piece, file and rank of the start square, the target square and the promotion, without the capture sign
+        const parts = /^([^a-z\d]?)([a-z]?)(\d*)([a-z]\d+)=?([^a-z\d]?)$/.exec(
+            notation.replace(/[-x:](?=[a-z]\d+=?[^a-z\d]?$)/, ""))
+        if (!parts) {
+            return null
+        }
+        const type = parts[1] ? pieceType(parts[1], lang) : "p"
+        const promotion = parts[5] ? pieceType(parts[5], lang) : null
+        if (!type || parts[5] && !promotion) {
+            return null
+        }
+        const moves = Rules.getMoves(position).filter((move) => {
+            return move.to === parts[4] && !move.castlingRook && move.piece.charAt(1) === type &&
+                (!parts[2] || move.from.charAt(0) === parts[2]) &&
+                (!parts[3] || move.from.substring(1) === parts[3]) &&
+                (move.promotion || null) === promotion
+        })
+        return moves.length === 1 ? moves[0] : null
+    }
+
+}
+
+// the piece type of a localized piece letter or a figurine, or `null`
+function pieceType(letter, lang) {
+    for (const type of ["k", "q", "r", "b", "n", "p"]) {
+        if (PieceTypes.getLetter(type, lang).toUpperCase() === letter || FIGURINES[type] === letter) {
+            return type
+        }
+    }
+    return null
+}
+
+function renderMove(position, move, renderPiece, long) {
+    position = typeof position === "string" ? new Position(position) : position
+    const legalMove = Rules.findMove(position, move.from, move.castlingRook || move.to, move.promotion)
+    if (!legalMove) {
+        return null
+    }
+    let notation
+    const type = legalMove.piece.charAt(1)
+    if (legalMove.castlingRook) {
+        notation = Position.squareToCoordinates(legalMove.to)[0] === position.files - 2 ? "O-O" : "O-O-O"
+    } else if (type === "p") {
+        if (long) {
+            notation = legalMove.from + (legalMove.captured ? "x" : "-") + legalMove.to
+        } else {
+            notation = (legalMove.captured ? legalMove.from.charAt(0) + "x" : "") + legalMove.to
+        }
+        if (legalMove.promotion) {
+            notation += "=" + renderPiece(legalMove.promotion)
+        }
+    } else if (long) {
+        notation = renderPiece(type) + legalMove.from + (legalMove.captured ? "x" : "-") + legalMove.to
+    } else {
+        notation = renderPiece(type) + disambiguation(position, legalMove) + (legalMove.captured ? "x" : "") + legalMove.to
+    }
+    const positionAfter = Rules.makeMove(position, legalMove)
+    if (Rules.isCheck(positionAfter)) {
+        notation += Rules.getMoves(positionAfter).length === 0 ? "#" : "+"
+    }
+    return notation
+}
+
+function disambiguation(position, move) {
+    const others = Rules.getMoves(position).filter((other) => {
+        return other.piece === move.piece && other.to === move.to && other.from !== move.from && !other.castlingRook
+    })
+    if (others.length === 0) {
+        return ""
+    }
+    const file = move.from.charAt(0)
+    const rank = move.from.substring(1)
+    if (!others.find((other) => other.from.charAt(0) === file)) {
+        return file
+    }
+    if (!others.find((other) => other.from.substring(1) === rank)) {
+        return rank
+    }
+    return move.from
+}
@@ -0,0 +1,267 @@
+/**
+ * Author and copyright: Stefan Haack (https://shaack.com)
+ * Repository: https://github.com/shaack/cm-chessboard
+ * License: MIT, see file 'LICENSE'
+ */
+import {FEN, Position} from "./Position.js"
+import {Rules} from "./Rules.js"
+import {Notation} from "./Notation.js"
+
+export const NAG_SYMBOLS = {
+    1: "!", 2: "?", 3: "!!", 4: "??", 5: "!?", 6: "?!", 10: "=", 13: "∞",
+    14: "⩲", 15: "⩱", 16: "±", 17: "∓", 18: "+−", 19: "−+"
+}
+
+const ANNOTATION_COMMANDS = /\[%(csl|cal)\s+([^\]]*)]/g
+const TOKENS = /\{([^}]*)\}|;([^\n]*)|(\()|(\))|\$(\d+)|(\d+\.(?:\.\.)?)|(1-0|0-1|1\/2-1\/2|\*)|([^\s{}();$]+)/g
+const SUFFIX_NAGS = {"!": 1, "?": 2, "!!": 3, "??": 4, "!?": 5, "?!": 6}
+
+/**
+ * Reads games in the Portable Game Notation. A game is read into a tree of nodes
+ * `{ply, move, san, fen, parent, children, comment, commentBefore, nags, annotations}`, the root node holds the start
+ * position, `children[0]` is the main line, the other children are the variations. This is the tree of
+ * the MoveHistory extension.
+ */
+export class Pgn {
+
+    /**
+     * @param pgn the PGN of one game
+     * @param files the size of the board, for variants
+     * @param ranks
+     * @returns {{headers: Object, root: Object, result: string}} throws an `Error` on illegal moves
+     */
+    static parse(pgn, files = 8, ranks = 8) {
+        const headers = {}
+        const lines = pgn.replace(/^\uFEFF/, "").split(/\r?\n/)
+        let i = 0
+        for (; i < lines.length; i++) {
+            const header = /^\s*\[(\w+)\s+"((?:[^"\\]|\\.)*)"\s*]\s*$/.exec(lines[i])
+            if (header) {
+                headers[header[1]] = header[2].replace(/\\(["\\])/g, "$1")
+            } else if (lines[i].trim() !== "") {
+                break
+            }
+        }
+        const root = createNode(null, null, null, new Position(headers.FEN || FEN.start, files, ranks).getFen())
+        let node = root
+        let result = headers.Result || "*"
+        let commentBefore = null
+        const variations = []
+        const movetext = lines.slice(i).join("\n")
+        let token
+        TOKENS.lastIndex = 0
+        while ((token = TOKENS.exec(movetext)) !== null) {
+            if (token[1] !== undefined || token[2] !== undefined) {
+                const parsed = Pgn.parseAnnotations(token[1] !== undefined ? token[1] : token[2])
+                const before = node === root || commentBefore !== null
+                if (parsed.markers.length > 0 || parsed.arrows.length > 0) {
+                    addAnnotations(node, parsed) // also before a move, they belong to the position on the board
+                }
+                if (!parsed.comment) {
+                    // only annotations
+                } else if (before) {
+                    commentBefore = commentBefore ? commentBefore + " " + parsed.comment : parsed.comment
+                } else {
+                    node.comment = node.comment ? node.comment + " " + parsed.comment : parsed.comment
+                }
+            } else if (token[3]) {
+                if (!node.parent) {
+                    throw Error(`variation without a move at ${token.index}`)
+                }
+                variations.push(node)
+                node = node.parent
+                commentBefore = ""
+            } else if (token[4]) {
+                if (variations.length === 0) {
+                    throw Error(`unexpected ")" at ${token.index}`)
+                }
+                node = variations.pop()
+                commentBefore = null
+            } else if (token[5]) {
+                node.nags.push(parseInt(token[5], 10))
+            } else if (token[7]) {
+                result = token[7]
+            } else if (token[8]) {
+                const suffix = /[!?]+$/.exec(token[8])
+                const san = suffix ? token[8].substring(0, suffix.index) : token[8]
+                const position = new Position(node.fen, files, ranks)
+                const move = Notation.fromSan(position, san)
+                if (!move) {
+                    throw Error(`illegal move "${san}" at ${token.index}`)
+                }
+                // the SAN as written, the MoveHistory renders it again
+                const child = createNode(node, move, san, Rules.makeMove(position, move).getFen())
+                child.commentBefore = commentBefore || null
+                if (suffix && SUFFIX_NAGS[suffix[0]]) {
+                    child.nags.push(SUFFIX_NAGS[suffix[0]])
+                }
+                node.children.push(child)
+                node = child
+                commentBefore = null
+            }
+        }
+        if (variations.length > 0) {
+            throw Error("unclosed variation")
+        }
+        if (commentBefore) {
+            root.comment = commentBefore
+        }
+        return {headers: headers, root: root, result: result}
+    }
+
+    /**
+     * Writes the game, with the comments, NAGs and annotations of the nodes, like the `game` of `parse`.
+     * @param game `{headers, root, result}`
+     * @param files the size of the board, like in `parse`
+     * @param ranks
+     * @returns {string} the PGN
+     */
+    static render(game, files = 8, ranks = 8) {
+        const headers = Object.assign({}, game.headers)
+        const result = game.result || headers.Result || "*"
+        headers.Result = result
+        const standardStart = files === 8 && ranks === 8 && new Position(game.root.fen).equals(new Position(FEN.start))
+        if (!standardStart && !headers.FEN) {
+            headers.SetUp = "1"
+            headers.FEN = game.root.fen
+        }
+        let pgn = ""
+        for (const name of Object.keys(headers)) {
+            pgn += `[${name} "${headers[name].replace(/(["\\])/g, "\\$1")}"]\n`
+        }
+        const tokens = []
+        const rootComment = renderComment(game.root.comment, game.root.annotations)
+        if (rootComment) {
+            tokens.push(rootComment)
+        }
+        renderLine(tokens, game.root, true, files, ranks)
+        tokens.push(result)
+        let line = ""
+        let movetext = ""
+        for (const token of tokens) {
+            if (line && line.length + token.length + 1 > 80) {
+                movetext += line + "\n"
+                line = token
+            } else {
+                line = line ? line + " " + token : token
+            }
+        }
+        return pgn + "\n" + movetext + line + "\n"
+    }
+
+    /**
+     * Reads the graphical annotations of a comment, like "[%csl Ge4,Rd5][%cal Ge2e4]".
+     * @returns {{markers: {square, color}[], arrows: {from, to, color}[], comment: string|null}} the colors
+     * are "G", "R", "Y" or "B", `comment` is the text without the commands
+     */
+    static parseAnnotations(comment) {
+        const markers = []
+        const arrows = []
+        const text = comment.replace(ANNOTATION_COMMANDS, (command, type, list) => {
+            for (const item of list.split(",")) {
+                const match = /^\s*([GRYB])([a-z]\d+)([a-z]\d+)?\s*$/.exec(item)
+                if (match && type === "csl" && !match[3]) {
+                    markers.push({square: match[2], color: match[1]})
+                } else if (match && type === "cal" && match[3]) {
+                    arrows.push({from: match[2], to: match[3], color: match[1]})
+                }
+            }
+            return " "
+        }).replace(/\s+/g, " ").trim()
+        return {markers: markers, arrows: arrows, comment: text || null}
+    }
+
+    /**
+     * @param markers `[{square, color}]`
+     * @param arrows `[{from, to, color}]`
+     * @returns {string} the annotations as comment commands, like "[%csl Ge4,Rd5][%cal Ge2e4]"
+     */
+    static renderAnnotations(markers = [], arrows = []) {
+        let commands = ""
+        if (markers.length > 0) {
+            commands += "[%csl " + markers.map((marker) => marker.color + marker.square).join(",") + "]"
+        }
+        if (arrows.length > 0) {
+            commands += "[%cal " + arrows.map((arrow) => arrow.color + arrow.from + arrow.to).join(",") + "]"
+        }
+        return commands
+    }
+
+    /**
+     * @returns {string} the NAG as symbol, like "!?" for 5, or "$n", if there is no symbol for it
+     */
+    static renderNag(nag) {
+        return NAG_SYMBOLS[nag] || "$" + nag
+    }
+
+}
+
+function addAnnotations(node, parsed) {
+    if (!node.annotations) {
+        node.annotations = {markers: [], arrows: []}
+    }
+    node.annotations.markers.push(...parsed.markers)
+    node.annotations.arrows.push(...parsed.arrows)
+}
+
+function renderComment(comment, annotations) {
+    const text = [annotations ? Pgn.renderAnnotations(annotations.markers, annotations.arrows) : "",
+        comment ? comment.replace(/}/g, "") : ""].filter((part) => part).join(" ")
+    return text ? "{" + text + "}" : null
+}
+
+function renderLine(tokens, node, forceNumber, files, ranks) {
+    while (node.children.length > 0) {
+        const main = node.children[0]
+        forceNumber = renderMove(tokens, main, forceNumber, files, ranks)
+        for (const variation of node.children.slice(1)) {
+            const variationTokens = []
+            renderMove(variationTokens, variation, true, files, ranks)
+            renderLine(variationTokens, variation, false, files, ranks)
+            variationTokens[0] = "(" + variationTokens[0]
+            variationTokens[variationTokens.length - 1] += ")"
+            tokens.push(...variationTokens)
+            forceNumber = true
+        }
+        node = main
+    }
+}
+
+// returns, if the next move needs a move number
+function renderMove(tokens, node, forceNumber, files, ranks) {
+    const position = new Position(node.parent.fen, files, ranks)
+    if (node.commentBefore) {
+        tokens.push("{" + node.commentBefore.replace(/}/g, "") + "}")
+        forceNumber = true
+    }
+    if (node.move.color === "w") {
+        tokens.push(position.fullMoveNumber + ".")
+    } else if (forceNumber) {
+        tokens.push(position.fullMoveNumber + "...")
+    }
+    tokens.push(Notation.toSan(position, node.move))
+    for (const nag of node.nags) {
+        tokens.push("$" + nag)
+    }
+    const comment = renderComment(node.comment, node.annotations)
+    if (comment) {
+        tokens.push(comment)
+        return true
+    }
+    return false
+}
+
+function createNode(parent, move, san, fen) {
+    return {
+        ply: parent ? parent.ply + 1 : 0,
+        move: move,
+        san: san,
+        fen: fen,
+        parent: parent,
+        children: [],
+        comment: null,
+        commentBefore: null,
+        nags: [],
+        annotations: null
+    }
+}
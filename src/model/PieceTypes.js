@@ -0,0 +1,115 @@
+/**
+ * Author and copyright: Stefan Haack (https://shaack.com)
+ * Repository: https://github.com/shaack/cm-chessboard
+ * License: MIT, see file 'LICENSE'
+ */
+
+export const PIECE = {
+    wp: "wp", wb: "wb", wn: "wn", wr: "wr", wq: "wq", wk: "wk",
+    bp: "bp", bb: "bb", bn: "bn", br: "br", bq: "bq", bk: "bk"
+}
+export const PIECE_TYPE = {
+    pawn: "p", knight: "n", bishop: "b", rook: "r", queen: "q", king: "k"
+}
+// the letters of the standard piece types in the notation, per language, fairy pieces set them in `register`
+export const PIECE_LETTERS = {
+    en: {p: "p", n: "n", b: "b", r: "r", q: "q", k: "k"},
+    de: {p: "b", n: "s", b: "l", r: "t", q: "d", k: "k"}
+}
+
+const pieceTypes = {}
+
+/**
+ * The registry of the piece types known to the board. A piece is named by its color and its type,
+ * like "wq" for the white queen. The type is also the letter of the piece in the FEN.
+ */
+export class PieceTypes {
+
+    /**
+     * Register an additional (fairy) piece type. Adds `PIECE_TYPE[name]` and `PIECE["w" + type]`,
+     * `PIECE["b" + type]`.
+     * @param name the name of the type, like "archbishop"
+     * @param type the FEN letter of the type in lower case, like "a"
+     * @param props `names`, the accessible names per language, like `{en: "Archbishop", de: "Erzbischof"}`,
+     * `letters`, the notation letters per language, defaults to `type`,
+     * `sprite`, the ids in the pieces sprite, defaults to `{w: "w" + type, b: "b" + type}`,
+     * `promotion`, set to `true`, if pawns can promote to this type
+     */
+    static register(name, type, props = {}) {
+        if (!/^[a-z]$/.test(type)) {
+            throw Error(`piece type must be a lower case letter, is "${type}"`)
+        }
+        if (pieceTypes[type]) {
+            throw Error(`piece type "${type}" already registered`)
+        }
+        pieceTypes[type] = {
+            name: name,
+            type: type,
+            names: props.names || {},
+            letters: props.letters || {},
+            sprite: props.sprite || {w: "w" + type, b: "b" + type},
+            promotion: !!props.promotion
+        }
+        PIECE_TYPE[name] = type
+        PIECE["w" + type] = "w" + type
+        PIECE["b" + type] = "b" + type
+    }
+
+    static isRegistered(type) {
+        return !!pieceTypes[type]
+    }
+
+    static get(type) {
+        return pieceTypes[type]
+    }
+
+    /**
+     * @param piece the piece, like "wq"
+     * @returns {string} the id of the piece in the sprite
+     */
+    static getSpriteId(piece) {
+        const pieceType = pieceTypes[piece.charAt(1)]
+        return pieceType ? pieceType.sprite[piece.charAt(0)] : piece
+    }
+
+    static getName(type, lang = "en") {
+        const pieceType = pieceTypes[type]
+        if (!pieceType) {
+            return type
+        }
+        return pieceType.names[lang] || pieceType.names.en || pieceType.name
+    }
+
+    static getLetter(type, lang = "en") {
+        const pieceType = pieceTypes[type]
+        if (!pieceType) {
+            return type
+        }
+        return pieceType.letters[lang] || type
+    }
+
+    /**
+     * @returns {string[]} the types, a pawn can promote to, like `["q", "r", "b", "n"]`
+     */
+    static getPromotionTypes() {
+        return Object.values(pieceTypes).filter((pieceType) => pieceType.promotion).map((pieceType) => pieceType.type)
+    }
+
+}
+
+// the standard types, in the order of the promotion dialog
+for (const name of ["queen", "rook", "bishop", "knight", "king", "pawn"]) {
+    const type = PIECE_TYPE[name]
+    const letters = {}
+    for (const lang of Object.keys(PIECE_LETTERS)) {
+        letters[lang] = PIECE_LETTERS[lang][type]
+    }
+    pieceTypes[type] = {
+        name: name,
+        type: type,
+        names: {}, // the standard pieces are translated in the accessibility extension
+        letters: letters,
+        sprite: {w: "w" + type, b: "b" + type},
+        promotion: type !== PIECE_TYPE.king && type !== PIECE_TYPE.pawn
+    }
+}
@@ -3,72 +3,311 @@
  * Repository: https://github.com/shaack/cm-chessboard
  * License: MIT, see file 'LICENSE'
  */
+import {PieceTypes} from "./PieceTypes.js"
+
 export const FEN = {
     start: "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1",
     empty: "8/8/8/8/8/8/8/8"
 }
 
+export const CASTLING_NOTATION = {
+    standard: "standard", // "KQkq"
+    xfen: "xfen", // X-FEN, "KQkq" for the outermost rooks and the file of the rook otherwise, like "KGkg"
+    shredder: "shredder" // Shredder-FEN, always the files of the rooks, like "HAha"
+}
+
+export const FEN_ERROR = {
+    notAString: "notAString", // the FEN is not a string
+    fields: "fields", // too many fields
+    numberOfRanks: "numberOfRanks", // the number of ranks does not match the board size
+    rankLength: "rankLength", // the number of squares in a rank does not match the board size
+    pieceLetter: "pieceLetter", // unknown piece letter
+    turn: "turn", // the side to move is not "w" or "b"
+    castling: "castling", // malformed castling field or castling rights without king and rook
+    enPassant: "enPassant", // malformed or impossible en passant square
+    halfMoveClock: "halfMoveClock", // not a non-negative integer
+    fullMoveNumber: "fullMoveNumber", // not a positive integer
+    kings: "kings", // not exactly one king per side
+    pawnOnBackRank: "pawnOnBackRank" // a pawn on the first or last rank
+}
+
+export class FenError extends Error {
+    constructor(type, message, fen, details = {}) {
+        super(message)
+        this.name = "FenError"
+        this.type = type // one of FEN_ERROR
+        this.fen = fen
+        this.rank = details.rank // the rank number, for errors in the piece placement
+        this.square = details.square // the square, for errors related to a square
+    }
+}
+
+const LETTERS_TO_FIGURINES = {
+    K: "♔", Q: "♕", R: "♖", B: "♗", N: "♘", P: "♙",
+    k: "♚", q: "♛", r: "♜", b: "♝", n: "♞", p: "♟"
+}
+const FIGURINES_TO_LETTERS = {}
+for (const letter of Object.keys(LETTERS_TO_FIGURINES)) {
+    FIGURINES_TO_LETTERS[LETTERS_TO_FIGURINES[letter]] = letter
+}
+
 export class Position {
 
-    constructor(fen = FEN.empty) {
-        this.squares = new Array(64).fill(null)
-        this.setFen(fen)
+    /**
+     * @param position the position in one of the formats of `setPosition`, `FEN.empty` is an empty board of any size
+     * @param files the number of files (columns), max 26
+     * @param ranks the number of ranks (rows)
+     */
+    constructor(position = FEN.empty, files = 8, ranks = 8) {
+        this.files = files
+        this.ranks = ranks
+        this.squares = new Array(files * ranks).fill(null)
+        this.turn = "w" // the side to move, "w" or "b"
+        this.castling = "-" // the castling availability, like "KQkq" or "-"
+        this.enPassant = null // the en passant target square, like "e3" or null
+        this.halfMoveClock = 0 // halfmoves since the last capture or pawn advance
+        this.fullMoveNumber = 1 // starts at 1 and is incremented after black's move
+        this.piecesHash = [0, 0] // the Zobrist hash of the pieces as two 32 bit halves, updated on every change
+        this.setPosition(position)
     }
 
-    setFen(fen = FEN.empty) {
-        const parts = fen.replace(/^\s*/, "").replace(/\s*$/, "").split(/\/|\s/)
-        for (let part = 0; part < 8; part++) {
-            const row = parts[7 - part].replace(/\d/g, (str) => {
-                const numSpaces = parseInt(str)
-                let ret = ''
-                for (let i = 0; i < numSpaces; i++) {
-                    ret += '-'
-                }
-                return ret
-            })
-            for (let c = 0; c < 8; c++) {
-                const char = row.substring(c, c + 1)
-                let piece = null
-                if (char !== '-') {
-                    if (char.toUpperCase() === char) {
-                        piece = `w${char.toLowerCase()}`
-                    } else {
-                        piece = `b${char}`
-                    }
-                }
-                this.squares[part * 8 + c] = piece
+    /**
+     * Set the position from a FEN, a map of squares to pieces like `{e4: "wp"}`, an ASCII or Unicode
+     * diagram (a string with line breaks) or the JSON form of `toJSON()`, as object or string.
+     */
+    setPosition(position = FEN.empty) {
+        if (position && typeof position === "object") {
+            if (position.pieces) {
+                this.setJson(position)
+            } else {
+                this.setMap(position)
             }
+        } else if (typeof position === "string" && position.trim().startsWith("{")) {
+            this.setJson(position)
+        } else if (typeof position === "string" && position.trim().indexOf("\n") !== -1) {
+            this.setDiagram(position)
+        } else {
+            this.setFen(position)
         }
     }
 
-    getFen() {
-        let parts = new Array(8).fill("")
-        for (let part = 0; part < 8; part++) {
+    /**
+     * Set the position from a FEN. Only the piece placement is mandatory, missing fields
+     * are set to their defaults (`w - - 0 1`). Throws a `FenError`, if the FEN is malformed.
+     */
+    setFen(fen = FEN.empty) {
+        const parsed = parseFen(fen, this.files, this.ranks)
+        if (parsed.errors.length > 0) {
+            throw parsed.errors[0]
+        }
+        this.squares = parsed.squares
+        this.piecesHash = hashPieces(this.squares)
+        this.turn = parsed.turn
+        this.castling = parsed.castling
+        this.enPassant = parsed.enPassant
+        this.halfMoveClock = parsed.halfMoveClock
+        this.fullMoveNumber = parsed.fullMoveNumber
+    }
+
+    /**
+     * Returns the full FEN of the position, set `piecePlacementOnly` to get only the first field.
+     * Set `castlingNotation` to one of `CASTLING_NOTATION` to convert the castling field, by default it
+     * is returned as it was set.
+     */
+    getFen(piecePlacementOnly = false, castlingNotation = undefined) {
+        let parts = new Array(this.ranks).fill("")
+        for (let part = 0; part < this.ranks; part++) {
+            const row = this.ranks - 1 - part
             let spaceCounter = 0
-            for (let i = 0; i < 8; i++) {
-                const piece = this.squares[part * 8 + i]
+            for (let i = 0; i < this.files; i++) {
+                const piece = this.squares[part * this.files + i]
                 if (!piece) {
                     spaceCounter++
                 } else {
                     if (spaceCounter > 0) {
-                        parts[7 - part] += spaceCounter
+                        parts[row] += spaceCounter
                         spaceCounter = 0
                     }
                     const color = piece.substring(0, 1)
                     const name = piece.substring(1, 2)
                     if (color === "w") {
-                        parts[7 - part] += name.toUpperCase()
+                        parts[row] += name.toUpperCase()
                     } else {
-                        parts[7 - part] += name
+                        parts[row] += name
                     }
                 }
             }
             if (spaceCounter > 0) {
-                parts[7 - part] += spaceCounter
+                parts[row] += spaceCounter
                 spaceCounter = 0
             }
         }
-        return parts.join("/")
+        const piecePlacement = parts.join("/")
+        if (piecePlacementOnly) {
+            return piecePlacement
+        }
+        const castling = castlingNotation ? this.getCastlingField(castlingNotation) : this.castling || "-"
+        return [piecePlacement, this.turn, castling, this.enPassant || "-",
+            this.halfMoveClock, this.fullMoveNumber].join(" ")
+    }
+
+    /**
+     * Resolves the castling field against the piece placement. "K" and "Q" stand for the outermost rook on
+     * that side of the king (X-FEN), file letters for the rook on that file (Shredder-FEN and X-FEN).
+     * Rights without king or rook on the back rank are ignored.
+     * @returns {{color: string, side: string, rookSquare: string}[]} side is "k" (king side) or "q" (queen side)
+     */
+    getCastlingRights() {
+        const rights = []
+        if (!this.castling || this.castling === "-") {
+            return rights
+        }
+        for (const char of this.castling) {
+            const color = char === char.toUpperCase() ? "w" : "b"
+            const backRank = color === "w" ? 0 : this.ranks - 1
+            const kingFile = this.squares.slice(backRank * this.files, (backRank + 1) * this.files).indexOf(color + "k")
+            if (kingFile === -1) {
+                continue
+            }
+            const lowerChar = char.toLowerCase()
+            let rookFile = -1
+            if (lowerChar === "k") {
+                for (let file = this.files - 1; file > kingFile && rookFile === -1; file--) {
+                    if (this.squares[backRank * this.files + file] === color + "r") {
+                        rookFile = file
+                    }
+                }
+            } else if (lowerChar === "q") {
+                for (let file = 0; file < kingFile && rookFile === -1; file++) {
+                    if (this.squares[backRank * this.files + file] === color + "r") {
+                        rookFile = file
+                    }
+                }
+            } else if (this.squares[backRank * this.files + lowerChar.charCodeAt(0) - 97] === color + "r") {
+                rookFile = lowerChar.charCodeAt(0) - 97
+            }
+            if (rookFile !== -1 && rookFile !== kingFile) {
+                rights.push({
+                    color: color,
+                    side: rookFile > kingFile ? "k" : "q",
+                    rookSquare: Position.coordinatesToSquare([rookFile, backRank])
+                })
+            }
+        }
+        return rights
+    }
+
+    /**
+     * @param castlingNotation one of `CASTLING_NOTATION`
+     * @returns {string} the castling field in that notation, white before black and king side before queen side
+     */
+    getCastlingField(castlingNotation = CASTLING_NOTATION.xfen) {
+        const rights = this.getCastlingRights()
+        if (rights.length === 0) {
+            return "-"
+        }
+        rights.sort((a, b) => {
+            if (a.color !== b.color) {
+                return a.color === "w" ? -1 : 1
+            }
+            return a.side === b.side ? 0 : a.side === "k" ? -1 : 1
+        })
+        let field = ""
+        for (const right of rights) {
+            let char
+            const rookFile = Position.squareToCoordinates(right.rookSquare)[0]
+            if (castlingNotation === CASTLING_NOTATION.standard) {
+                char = right.side
+            } else if (castlingNotation === CASTLING_NOTATION.shredder) {
+                char = String.fromCharCode(97 + rookFile)
+            } else {
+                // X-FEN, only use the file, if there is another rook further outside
+                const backRank = right.color === "w" ? 0 : this.ranks - 1
+                const outermost = right.side === "k" ?
+                    this.squares.slice(backRank * this.files + rookFile + 1, (backRank + 1) * this.files).indexOf(right.color + "r") === -1 :
+                    this.squares.slice(backRank * this.files, backRank * this.files + rookFile).indexOf(right.color + "r") === -1
+                char = outermost ? right.side : String.fromCharCode(97 + rookFile)
+            }
+            field += right.color === "w" ? char.toUpperCase() : char
+        }
+        return field
+    }
+
+    /**
+     * Returns the squares of a castling, if the king on `kingSquare` has the right to castle with the rook
+     * on `rookSquare`. In Chess960 castling is entered by moving the king onto its rook.
+     * @returns {{kingSquareFrom: string, kingSquareTo: string, rookSquareFrom: string, rookSquareTo: string}|null}
+     */
+    getCastlingMove(kingSquare, rookSquare) {
+        const king = this.getPiece(kingSquare)
+        if (!king || king.charAt(1) !== "k") {
+            return null
+        }
+        const color = king.charAt(0)
+        const right = this.getCastlingRights().find((right) => {
+            return right.color === color && right.rookSquare === rookSquare
+        })
+        if (!right) {
+            return null
+        }
+        const backRank = color === "w" ? 0 : this.ranks - 1
+        return {
+            kingSquareFrom: kingSquare,
+            kingSquareTo: Position.coordinatesToSquare([right.side === "k" ? this.files - 2 : 2, backRank]),
+            rookSquareFrom: rookSquare,
+            rookSquareTo: Position.coordinatesToSquare([right.side === "k" ? this.files - 3 : 3, backRank])
+        }
+    }
+
+    /**
+     * Completes the move of the piece on `squareFrom` to `squareTo` for `Chessboard.makeMove`, with `castlingRook`,
+     * if the king moves onto its own rook or two squares to its castling square, `enPassantCapture` and `promotion`.
+     * It is not checked, if the move is legal.
+     * @param promotion the piece type of a pawn reaching the last rank
+     * @returns {{from: string, to: string, promotion: string, castlingRook: string, enPassantCapture: string}}
+     */
+    getMove(squareFrom, squareTo, promotion = "q") {
+        const move = {from: squareFrom, to: squareTo, promotion: null, castlingRook: null, enPassantCapture: null}
+        const piece = this.getPiece(squareFrom)
+        if (!piece) {
+            return move
+        }
+        const from = Position.squareToCoordinates(squareFrom)
+        const to = Position.squareToCoordinates(squareTo)
+        if (piece.charAt(1) === "k") {
+            let castling = this.getCastlingMove(squareFrom, squareTo)
+            if (!castling && Math.abs(to[0] - from[0]) >= 2) {
+                castling = this.getCastlingRights().map((right) => this.getCastlingMove(squareFrom, right.rookSquare))
+                    .find((castling) => castling && castling.kingSquareTo === squareTo)
+            }
+            if (castling) {
+                move.to = castling.kingSquareTo
+                move.castlingRook = castling.rookSquareFrom
+            }
+        } else if (piece.charAt(1) === "p") {
+            if (squareTo === this.enPassant && from[0] !== to[0] && !this.getPiece(squareTo)) {
+                move.enPassantCapture = Position.coordinatesToSquare([to[0], from[1]])
+            }
+            if (to[1] === (piece.charAt(0) === "w" ? this.ranks - 1 : 0)) {
+                move.promotion = promotion
+            }
+        }
+        return move
+    }
+
+    /**
+     * Validates a FEN without throwing. Other than `setFen`, which accepts every well formed FEN to
+     * allow incomplete positions on the board, this also checks the kings, pawns on the back ranks and
+     * if the castling rights and the en passant square match the piece placement.
+     * @returns {{valid: boolean, errors: FenError[]}}
+     */
+    static validateFen(fen, files = 8, ranks = 8) {
+        const parsed = parseFen(fen, files, ranks)
+        const errors = parsed.errors
+        if (errors.length === 0) {
+            errors.push(...validatePosition(parsed, fen, files, ranks))
+        }
+        return {valid: errors.length === 0, errors: errors}
     }
 
     getPieces(pieceColor = undefined, pieceType = undefined, sortBy = ['k', 'q', 'r', 'b', 'n', 'p']) {
@@ -76,12 +315,12 @@ export class Position {
         const sort = (a, b) => {
             return sortBy.indexOf(a.name) - sortBy.indexOf(b.name)
         }
-        for (let i = 0; i < 64; i++) {
+        for (let i = 0; i < this.squares.length; i++) {
             const piece = this.squares[i]
             if (piece) {
                 const type = piece.charAt(1)
                 const color = piece.charAt(0)
-                const square = Position.indexToSquare(i)
+                const square = this.indexToSquare(i)
                 if(pieceType && pieceType !== type || pieceColor && pieceColor !== color) {
                     continue
                 }
@@ -101,51 +340,471 @@ export class Position {
     }
 
     movePiece(squareFrom, squareTo) {
-        if (!this.squares[Position.squareToIndex(squareFrom)]) {
+        if (!this.squares[this.squareToIndex(squareFrom)]) {
             console.warn("no piece on", squareFrom)
             return
         }
-        this.squares[Position.squareToIndex(squareTo)] = this.squares[Position.squareToIndex(squareFrom)]
-        this.squares[Position.squareToIndex(squareFrom)] = null
+        this.setPiece(squareTo, this.squares[this.squareToIndex(squareFrom)])
+        this.setPiece(squareFrom, null)
+    }
+
+    /**
+     * Updates side to move, castling rights, en passant square and the clocks for `move`, without checking if
+     * it is legal. The pieces of this position must be moved already, `positionBefore` is the position before.
+     * @param move `{from, to, castlingRook, enPassantCapture}`, like the moves of `Rules`
+     */
+    updateAfterMove(positionBefore, move) {
+        const piece = positionBefore.getPiece(move.from)
+        const color = piece.charAt(0)
+        const captured = !move.castlingRook && (move.enPassantCapture || positionBefore.getPiece(move.to))
+        const rights = positionBefore.getCastlingRights().filter((right) => {
+            return !(right.color === color && piece.charAt(1) === "k") &&
+                right.rookSquare !== move.from && right.rookSquare !== move.to
+        })
+        this.castling = rights.length > 0 ? rights.map((right) => {
+            const file = right.rookSquare.charAt(0)
+            return right.color === "w" ? file.toUpperCase() : file
+        }).join("") : "-"
+        if (this.castling !== "-") { // keep the notation
+            this.castling = this.getCastlingField(/[KQkq]/.test(positionBefore.castling) ?
+                CASTLING_NOTATION.xfen : CASTLING_NOTATION.shredder)
+        }
+        this.enPassant = null
+        if (piece.charAt(1) === "p") {
+            const fromRank = Position.squareToCoordinates(move.from)[1]
+            const toRank = Position.squareToCoordinates(move.to)[1]
+            if (Math.abs(toRank - fromRank) === 2) {
+                this.enPassant = move.from.charAt(0) + ((fromRank + toRank) / 2 + 1)
+            }
+        }
+        this.halfMoveClock = piece.charAt(1) === "p" || captured ? 0 : positionBefore.halfMoveClock + 1
+        this.fullMoveNumber = color === "b" ? positionBefore.fullMoveNumber + 1 : positionBefore.fullMoveNumber
+        this.turn = color === "w" ? "b" : "w"
     }
 
     setPiece(square, piece) {
-        this.squares[Position.squareToIndex(square)] = piece
+        const index = this.squareToIndex(square)
+        if (this.squares[index]) {
+            xorPiece(this.piecesHash, this.squares[index], index)
+        }
+        if (piece) {
+            xorPiece(this.piecesHash, piece, index)
+        }
+        this.squares[index] = piece
     }
 
     getPiece(square) {
-        return this.squares[Position.squareToIndex(square)]
+        return this.squares[this.squareToIndex(square)]
+    }
+
+    squareToIndex(square) {
+        return Position.squareToIndex(square, this.files)
     }
 
-    static squareToIndex(square) {
+    indexToSquare(index) {
+        return Position.indexToSquare(index, this.files)
+    }
+
+    static squareToIndex(square, files = 8) {
         const coordinates = Position.squareToCoordinates(square)
-        return coordinates[0] + coordinates[1] * 8
+        return coordinates[0] + coordinates[1] * files
     }
 
-    static indexToSquare(index) {
-        return this.coordinatesToSquare([Math.floor(index % 8), index / 8])
+    static indexToSquare(index, files = 8) {
+        return this.coordinatesToSquare([index % files, Math.floor(index / files)])
     }
 
     static squareToCoordinates(square) {
         const file = square.charCodeAt(0) - 97
-        const rank = square.charCodeAt(1) - 49
+        const rank = parseInt(square.substring(1), 10) - 1
         return [file, rank]
     }
 
     static coordinatesToSquare(coordinates) {
         const file = String.fromCharCode(coordinates[0] + 97)
-        const rank = String.fromCharCode(coordinates[1] + 49)
+        const rank = coordinates[1] + 1
         return file + rank
     }
 
+    /**
+     * Set the pieces from a map of squares to pieces, like `{e4: "wp", e5: "bp"}`. The other fields
+     * are set to their defaults.
+     */
+    setMap(map) {
+        const squares = new Array(this.files * this.ranks).fill(null)
+        for (const square of Object.keys(map)) {
+            const coordinates = /^[a-z]\d+$/.test(square) ? Position.squareToCoordinates(square) : [-1, -1]
+            if (coordinates[0] < 0 || coordinates[0] >= this.files || coordinates[1] < 0 || coordinates[1] >= this.ranks) {
+                throw Error(`invalid square "${square}"`)
+            }
+            const piece = map[square]
+            if (piece) {
+                if (!/^[wb][a-z]$/.test(piece) || !PieceTypes.isRegistered(piece.charAt(1))) {
+                    throw Error(`invalid piece "${piece}" on ${square}`)
+                }
+                squares[this.squareToIndex(square)] = piece
+            }
+        }
+        this.setFen(FEN.empty)
+        this.squares = squares
+        this.piecesHash = hashPieces(squares)
+    }
+
+    /**
+     * @returns {Object} the pieces as map of squares to pieces, like `{e4: "wp", e5: "bp"}`
+     */
+    getMap() {
+        const map = {}
+        for (let i = 0; i < this.squares.length; i++) {
+            if (this.squares[i]) {
+                map[this.indexToSquare(i)] = this.squares[i]
+            }
+        }
+        return map
+    }
+
+    /**
+     * Set the pieces from an ASCII or Unicode diagram, as created by `getAscii()` or `getUnicode()`,
+     * with the highest rank on top. Empty squares are "." or "·", rank numbers, file letters and
+     * borders are ignored. The other fields are set to their defaults.
+     */
+    setDiagram(diagram) {
+        const rows = []
+        for (const line of diagram.split("\n")) {
+            const chars = Array.from(line.replace(/^\s*\d+/, "").replace(/[\s|+\-─│┌┐└┘├┤┬┴┼]/g, ""))
+            if (chars.length === 0 || chars.length === this.files &&
+                chars.join("") === "abcdefghijklmnopqrstuvwxyz".substring(0, this.files)) {
+                continue // empty line or the file letters
+            }
+            let row = ""
+            let emptySquares = 0
+            for (const char of chars) {
+                if (char === "." || char === "·") {
+                    emptySquares++
+                } else {
+                    if (emptySquares > 0) {
+                        row += emptySquares
+                        emptySquares = 0
+                    }
+                    row += FIGURINES_TO_LETTERS[char] || char
+                }
+            }
+            if (emptySquares > 0) {
+                row += emptySquares
+            }
+            rows.push(row)
+        }
+        this.setFen(rows.join("/"))
+    }
+
+    /**
+     * @returns {string} a plain ASCII diagram, like "8 r n b q k b n r", with the file letters at the bottom
+     */
+    getAscii() {
+        return this.renderDiagram((piece) => {
+            return piece ? (piece.charAt(0) === "w" ? piece.charAt(1).toUpperCase() : piece.charAt(1)) : "."
+        })
+    }
+
+    /**
+     * @returns {string} a diagram with Unicode figurines, like "8 ♜ ♞ ♝ ♛ ♚ ♝ ♞ ♜", pieces without figurine
+     * are shown as letters
+     */
+    getUnicode() {
+        return this.renderDiagram((piece) => {
+            if (!piece) {
+                return "·"
+            }
+            const letter = piece.charAt(0) === "w" ? piece.charAt(1).toUpperCase() : piece.charAt(1)
+            return LETTERS_TO_FIGURINES[letter] || letter
+        })
+    }
+
+    renderDiagram(renderSquare) {
+        const width = ("" + this.ranks).length
+        const lines = []
+        for (let rank = this.ranks - 1; rank >= 0; rank--) {
+            let line = ("" + (rank + 1)).padStart(width)
+            for (let file = 0; file < this.files; file++) {
+                line += " " + renderSquare(this.squares[rank * this.files + file])
+            }
+            lines.push(line)
+        }
+        lines.push(" ".repeat(width) + " " + "abcdefghijklmnopqrstuvwxyz".substring(0, this.files).split("").join(" "))
+        return lines.join("\n")
+    }
+
+    /**
+     * Set the position from its JSON form, as object or string, see `toJSON()`.
+     */
+    setJson(json) {
+        const data = typeof json === "string" ? JSON.parse(json) : json
+        this.setMap(data.pieces || {})
+        const fen = [this.getFen(true), data.turn || "w", data.castling || "-", data.enPassant || "-",
+            data.halfMoveClock !== undefined ? data.halfMoveClock : 0,
+            data.fullMoveNumber !== undefined ? data.fullMoveNumber : 1].join(" ")
+        this.setFen(fen)
+    }
+
+    /**
+     * The compact JSON form of the position, used by `JSON.stringify(position)`.
+     * @returns {{pieces: Object, turn: string, castling: string, enPassant: string, halfMoveClock: number, fullMoveNumber: number}}
+     */
+    toJSON() {
+        return {
+            pieces: this.getMap(),
+            turn: this.turn,
+            castling: this.castling,
+            enPassant: this.enPassant,
+            halfMoveClock: this.halfMoveClock,
+            fullMoveNumber: this.fullMoveNumber
+        }
+    }
+
+    /**
+     * A stable 64 bit Zobrist hash of the position as hex string, to be used as key for caches. Like the
+     * hash keys of chess engines, it covers the pieces, the side to move, the castling rights and the
+     * en passant square, but not the clocks. The pieces part is updated incrementally by `setPiece` and
+     * `movePiece`, so computing the hash is cheap.
+     * @returns {string} 16 hex digits, like "463b96181691fc9c"
+     */
+    getHash() {
+        const hash = this.piecesHash.slice(0)
+        if (this.turn === "b") {
+            xorKey(hash, ZOBRIST_TURN, 0)
+        }
+        for (const right of this.getCastlingRights()) {
+            xorKey(hash, ZOBRIST_CASTLING, (right.color === "w" ? 0 : 32) + right.rookSquare.charCodeAt(0) - 97)
+        }
+        if (this.enPassant) {
+            xorKey(hash, ZOBRIST_EN_PASSANT, this.enPassant.charCodeAt(0) - 97)
+        }
+        return hash[0].toString(16).padStart(8, "0") + hash[1].toString(16).padStart(8, "0")
+    }
+
+    /**
+     * Compare this position with `other`, set `piecePlacementOnly` to compare only the pieces. Unlike
+     * `getHash()`, a full comparison includes the clocks, like comparing the FENs.
+     */
+    equals(other, piecePlacementOnly = false) {
+        if (!other || this.files !== other.files || this.ranks !== other.ranks ||
+            this.piecesHash[0] !== other.piecesHash[0] || this.piecesHash[1] !== other.piecesHash[1]) {
+            return false
+        }
+        if (!piecePlacementOnly && (this.turn !== other.turn || this.enPassant !== other.enPassant ||
+            this.halfMoveClock !== other.halfMoveClock || this.fullMoveNumber !== other.fullMoveNumber ||
+            (this.castling !== other.castling &&
+                this.getCastlingField(CASTLING_NOTATION.shredder) !== other.getCastlingField(CASTLING_NOTATION.shredder)))) {
+            return false
+        }
+        for (let i = 0; i < this.squares.length; i++) {
+            if (this.squares[i] !== other.squares[i]) {
+                return false
+            }
+        }
+        return true
+    }
+
     toString() {
         return this.getFen()
     }
 
     clone() {
-        const cloned = new Position()
+        const cloned = new Position(FEN.empty, this.files, this.ranks)
         cloned.squares = this.squares.slice(0)
+        cloned.piecesHash = this.piecesHash.slice(0)
+        cloned.turn = this.turn
+        cloned.castling = this.castling
+        cloned.enPassant = this.enPassant
+        cloned.halfMoveClock = this.halfMoveClock
+        cloned.fullMoveNumber = this.fullMoveNumber
         return cloned
     }
 
 }
+
+// Zobrist keys are derived from the piece or field and the square index, not drawn from a random
+// generator, so the hashes are the same in every session and for every registered piece type
+const ZOBRIST_TURN = 64
+const ZOBRIST_CASTLING = 65
+const ZOBRIST_EN_PASSANT = 66
+
+function mix32(value) {
+    value ^= value >>> 16
+    value = Math.imul(value, 0x85ebca6b)
+    value ^= value >>> 13
+    value = Math.imul(value, 0xc2b2ae35)
+    value ^= value >>> 16
+    return value >>> 0
+}
+
+function xorKey(hash, id, index) {
+    const seed = id * 65536 + index
+    hash[0] = (hash[0] ^ mix32(seed ^ 0x5bd1e995)) >>> 0
+    hash[1] = (hash[1] ^ mix32(seed ^ 0x27d4eb2f)) >>> 0
+}
+
+function xorPiece(hash, piece, index) {
+    xorKey(hash, (piece.charAt(0) === "w" ? 0 : 32) + piece.charCodeAt(1) - 97, index)
+}
+
+function hashPieces(squares) {
+    const hash = [0, 0]
+    for (let i = 0; i < squares.length; i++) {
+        if (squares[i]) {
+            xorPiece(hash, squares[i], i)
+        }
+    }
+    return hash
+}
+
+function parseFen(fen, files, ranks) {
+    const parsed = {
+        squares: new Array(files * ranks).fill(null),
+        turn: "w",
+        castling: "-",
+        enPassant: null,
+        halfMoveClock: 0,
+        fullMoveNumber: 1,
+        errors: []
+    }
+    const errors = parsed.errors
+    if (typeof fen !== "string") {
+        errors.push(new FenError(FEN_ERROR.notAString, `FEN must be a string, is ${typeof fen}`, fen))
+        return parsed
+    }
+    if (fen === FEN.empty) {
+        return parsed
+    }
+    const fields = fen.trim().split(/\s+/)
+    if (fields.length > 6) {
+        errors.push(new FenError(FEN_ERROR.fields, `FEN has ${fields.length} fields, expected max 6`, fen))
+    }
+    const rows = fields[0].split("/")
+    if (rows.length !== ranks) {
+        errors.push(new FenError(FEN_ERROR.numberOfRanks,
+            `piece placement has ${rows.length} ranks, expected ${ranks}`, fen))
+    }
+    for (let i = 0; i < rows.length && i < ranks; i++) {
+        const rank = ranks - i
+        let file = 0
+        for (const token of rows[i].match(/\d+|\D/g) || []) {
+            if (/^\d+$/.test(token)) {
+                const emptySquares = parseInt(token, 10)
+                if (emptySquares === 0) {
+                    errors.push(new FenError(FEN_ERROR.rankLength, `rank ${rank} contains a "0"`, fen, {rank: rank}))
+                }
+                file += emptySquares
+            } else if (!PieceTypes.isRegistered(token.toLowerCase())) {
+                errors.push(new FenError(FEN_ERROR.pieceLetter,
+                    `unknown piece letter "${token}" in rank ${rank}`, fen, {rank: rank}))
+                file++
+            } else {
+                if (file < files) {
+                    const color = token === token.toUpperCase() ? "w" : "b"
+                    parsed.squares[(rank - 1) * files + file] = color + token.toLowerCase()
+                }
+                file++
+            }
+        }
+        if (file !== files) {
+            errors.push(new FenError(FEN_ERROR.rankLength,
+                `rank ${rank} has ${file} squares, expected ${files}`, fen, {rank: rank}))
+        }
+    }
+    if (fields[1] !== undefined) {
+        if (fields[1] === "w" || fields[1] === "b") {
+            parsed.turn = fields[1]
+        } else {
+            errors.push(new FenError(FEN_ERROR.turn, `side to move must be "w" or "b", is "${fields[1]}"`, fen))
+        }
+    }
+    if (fields[2] !== undefined) {
+        // standard "KQkq" and the rook files of Shredder-FEN/X-FEN
+        const valid = fields[2] === "-" || /^[A-Za-z]{1,4}$/.test(fields[2]) &&
+            new Set(fields[2].split("")).size === fields[2].length &&
+            fields[2].split("").every((char) => {
+                return "KQkq".indexOf(char) !== -1 || char.toLowerCase().charCodeAt(0) - 97 < files
+            })
+        if (valid) {
+            parsed.castling = fields[2]
+        } else {
+            errors.push(new FenError(FEN_ERROR.castling, `malformed castling field "${fields[2]}"`, fen))
+        }
+    }
+    if (fields[3] !== undefined) {
+        if (/^[a-z]\d+$/.test(fields[3]) && fields[3].charCodeAt(0) - 97 < files &&
+            [3, ranks - 2].indexOf(parseInt(fields[3].substring(1), 10)) !== -1) {
+            parsed.enPassant = fields[3]
+        } else if (fields[3] !== "-") {
+            errors.push(new FenError(FEN_ERROR.enPassant, `malformed en passant square "${fields[3]}"`, fen))
+        }
+    }
+    if (fields[4] !== undefined) {
+        if (/^\d+$/.test(fields[4])) {
+            parsed.halfMoveClock = parseInt(fields[4], 10)
+        } else {
+            errors.push(new FenError(FEN_ERROR.halfMoveClock, `malformed halfmove clock "${fields[4]}"`, fen))
+        }
+    }
+    if (fields[5] !== undefined) {
+        if (/^\d+$/.test(fields[5]) && parseInt(fields[5], 10) > 0) {
+            parsed.fullMoveNumber = parseInt(fields[5], 10)
+        } else {
+            errors.push(new FenError(FEN_ERROR.fullMoveNumber, `malformed fullmove number "${fields[5]}"`, fen))
+        }
+    }
+    return parsed
+}
+
+function validatePosition(parsed, fen, files, ranks) {
+    const errors = []
+    const squares = parsed.squares
+    for (const color of ["w", "b"]) {
+        const kings = squares.filter((piece) => piece === color + "k").length
+        if (kings !== 1) {
+            errors.push(new FenError(FEN_ERROR.kings,
+                `${color === "w" ? "white" : "black"} has ${kings} kings, expected 1`, fen))
+        }
+    }
+    for (let i = 0; i < squares.length; i++) {
+        if ((squares[i] === "wp" || squares[i] === "bp") && (i < files || i >= (ranks - 1) * files)) {
+            const square = Position.indexToSquare(i, files)
+            errors.push(new FenError(FEN_ERROR.pawnOnBackRank, `pawn on ${square}`, fen, {square: square}))
+        }
+    }
+    if (parsed.castling !== "-") {
+        for (const char of parsed.castling) {
+            const color = char === char.toUpperCase() ? "w" : "b"
+            const backRank = color === "w" ? 0 : ranks - 1
+            const kingFile = squares.slice(backRank * files, (backRank + 1) * files).indexOf(color + "k")
+            let rookFound = false
+            if (kingFile !== -1) {
+                const side = char.toLowerCase()
+                for (let file = 0; file < files; file++) {
+                    if (squares[backRank * files + file] === color + "r" &&
+                        (side === "k" && file > kingFile || side === "q" && file < kingFile ||
+                            side === String.fromCharCode(97 + file))) {
+                        rookFound = true
+                    }
+                }
+            }
+            if (!rookFound) {
+                errors.push(new FenError(FEN_ERROR.castling,
+                    `castling right "${char}" without king and rook on the back rank`, fen))
+            }
+        }
+    }
+    if (parsed.enPassant) {
+        const coordinates = Position.squareToCoordinates(parsed.enPassant)
+        const expectedRank = parsed.turn === "w" ? ranks - 3 : 2
+        const pawnRank = parsed.turn === "w" ? ranks - 4 : 3
+        const pawn = parsed.turn === "w" ? "bp" : "wp"
+        if (coordinates[1] !== expectedRank || squares[pawnRank * files + coordinates[0]] !== pawn) {
+            errors.push(new FenError(FEN_ERROR.enPassant,
+                `en passant square ${parsed.enPassant} does not match the position`, fen,
+                {square: parsed.enPassant}))
+        }
+    }
+    return errors
+}
@@ -0,0 +1,305 @@
+/**
+ * Author and copyright: Stefan Haack (https://shaack.com)
+ * Repository: https://github.com/shaack/cm-chessboard
+ * License: MIT, see file 'LICENSE'
+ */
+import {Position} from "./Position.js"
+import {PieceTypes} from "./PieceTypes.js"
+
+const KNIGHT_STEPS = [[1, 2], [2, 1], [2, -1], [1, -2], [-1, -2], [-2, -1], [-2, 1], [-1, 2]]
+const KING_STEPS = [[1, 0], [1, 1], [0, 1], [-1, 1], [-1, 0], [-1, -1], [0, -1], [1, -1]]
+const ROOK_DIRECTIONS = [[1, 0], [0, 1], [-1, 0], [0, -1]]
+const BISHOP_DIRECTIONS = [[1, 1], [-1, 1], [-1, -1], [1, -1]]
+
+/**
+ * The rules of chess, to generate the legal moves of a position. Works on boards of all sizes, but
+ * knows only the standard pieces, fairy pieces neither move nor attack.
+ *
+ * A move is `{color, piece, from, to, captured, promotion, castlingRook, enPassantCapture}`. For castling,
+ * `to` is the target square of the king and `castlingRook` the square of the rook, for en passant,
+ * `enPassantCapture` is the square of the captured pawn. Unused fields are `null`.
+ */
+export class Rules {
+
+    /**
+     * @param position a `Position` or a FEN
+     * @param square only the moves of the piece on this square, optional
+     * @returns {Object[]} the legal moves of the side to move
+     */
+    static getMoves(position, square = undefined) {
+        position = toPosition(position)
+        return generateMoves(position, position.turn, square).filter((move) => isLegal(position, move))
+    }
+
+    /**
+     * Finds the legal move from `from` to `to`. To castle, `to` can be the target square of the king or,
+     * like in Chess960, the square of the castling rook. Without `promotion`, a promotion to queen is found.
+     * @returns {Object|null} the move or `null`, if it is not legal
+     */
+    static findMove(position, from, to, promotion = undefined) {
+        const moves = Rules.getMoves(position, from)
+        return moves.find((move) => move.to === to && !move.castlingRook &&
+                (!move.promotion || move.promotion === (promotion || "q"))) ||
+            moves.find((move) => move.castlingRook && (move.castlingRook === to || move.to === to)) || null
+    }
+
+    /**
+     * Makes a move and updates side to move, castling rights, en passant square and the clocks.
+     * @param position a `Position` or a FEN, it is not changed
+     * @param move `{from, to, promotion}`, like in `findMove`
+     * @returns {Position|null} the position after the move or `null`, if the move is not legal
+     */
+    static makeMove(position, move) {
+        position = toPosition(position)
+        const legalMove = Rules.findMove(position, move.from, move.castlingRook || move.to, move.promotion)
+        if (!legalMove) {
+            return null
+        }
+        const result = position.clone()
+        applyMove(result, legalMove)
+        result.updateAfterMove(position, legalMove)
+        return result
+    }
+
+    /**
+     * @returns {boolean} true, if the king of `color` (default: the side to move) is attacked
+     */
+    static isCheck(position, color = undefined) {
+        position = toPosition(position)
+        color = color || position.turn
+        const kingIndex = position.squares.indexOf(color + "k")
+        return kingIndex !== -1 && isAttacked(position.squares, position.files, position.ranks, kingIndex, opponent(color))
+    }
+
+    static isCheckmate(position) {
+        position = toPosition(position)
+        return Rules.isCheck(position) && Rules.getMoves(position).length === 0
+    }
+
+    static isStalemate(position) {
+        position = toPosition(position)
+        return !Rules.isCheck(position) && Rules.getMoves(position).length === 0
+    }
+
+    /**
+     * @returns {boolean} true, if `square` is attacked by a piece of `color`
+     */
+    static isSquareAttacked(position, square, color) {
+        position = toPosition(position)
+        return isAttacked(position.squares, position.files, position.ranks, position.squareToIndex(square), color)
+    }
+
+}
+
+function toPosition(position) {
+    return typeof position === "string" ? new Position(position) : position
+}
+
+function opponent(color) {
+    return color === "w" ? "b" : "w"
+}
+
+function generateMoves(position, color, onlySquare) {
+    const moves = []
+    const files = position.files
+    const ranks = position.ranks
+    const squares = position.squares
+    const pieceAt = (file, rank) => {
+        return file >= 0 && file < files && rank >= 0 && rank < ranks ? squares[rank * files + file] || null : undefined
+    }
+    const addMove = (piece, fromFile, fromRank, toFile, toRank, extra = {}) => {
+        const captured = pieceAt(toFile, toRank)
+        moves.push(Object.assign({
+            color: color,
+            piece: piece,
+            from: Position.coordinatesToSquare([fromFile, fromRank]),
+            to: Position.coordinatesToSquare([toFile, toRank]),
+            captured: captured ? captured.charAt(1) : null,
+            promotion: null,
+            castlingRook: null,
+            enPassantCapture: null
+        }, extra))
+    }
+    const addPawnMove = (piece, fromFile, fromRank, toFile, toRank) => {
+        if (toRank === 0 || toRank === ranks - 1) {
+            for (const type of PieceTypes.getPromotionTypes()) {
+                addMove(piece, fromFile, fromRank, toFile, toRank, {promotion: type})
+            }
+        } else {
+            addMove(piece, fromFile, fromRank, toFile, toRank)
+        }
+    }
+    for (let index = 0; index < squares.length; index++) {
+        const piece = squares[index]
+        if (!piece || piece.charAt(0) !== color) {
+            continue
+        }
+        const file = index % files
+        const rank = Math.floor(index / files)
+        if (onlySquare && Position.coordinatesToSquare([file, rank]) !== onlySquare) {
+            continue
+        }
+        const type = piece.charAt(1)
+        if (type === "p") {
+            const direction = color === "w" ? 1 : -1
+            const startRank = color === "w" ? 1 : ranks - 2
+            if (pieceAt(file, rank + direction) === null) {
+                addPawnMove(piece, file, rank, file, rank + direction)
+                if (rank === startRank && pieceAt(file, rank + 2 * direction) === null) {
+                    addMove(piece, file, rank, file, rank + 2 * direction)
+                }
+            }
+            for (const fileOffset of [-1, 1]) {
+                const target = pieceAt(file + fileOffset, rank + direction)
+                if (target && target.charAt(0) !== color) {
+                    addPawnMove(piece, file, rank, file + fileOffset, rank + direction)
+                } else if (target === null && position.enPassant ===
+                    Position.coordinatesToSquare([file + fileOffset, rank + direction]) &&
+                    pieceAt(file + fileOffset, rank) === opponent(color) + "p") {
+                    addMove(piece, file, rank, file + fileOffset, rank + direction, {
+                        captured: "p",
+                        enPassantCapture: Position.coordinatesToSquare([file + fileOffset, rank])
+                    })
+                }
+            }
+        } else if (type === "n" || type === "k") {
+            for (const step of type === "n" ? KNIGHT_STEPS : KING_STEPS) {
+                const target = pieceAt(file + step[0], rank + step[1])
+                if (target === null || target && target.charAt(0) !== color) {
+                    addMove(piece, file, rank, file + step[0], rank + step[1])
+                }
+            }
+        } else if (type === "r" || type === "b" || type === "q") {
+            const directions = type === "r" ? ROOK_DIRECTIONS : type === "b" ? BISHOP_DIRECTIONS :
+                ROOK_DIRECTIONS.concat(BISHOP_DIRECTIONS)
+            for (const direction of directions) {
+                let toFile = file + direction[0]
+                let toRank = rank + direction[1]
+                let target = pieceAt(toFile, toRank)
+                while (target === null) {
+                    addMove(piece, file, rank, toFile, toRank)
+                    toFile += direction[0]
+                    toRank += direction[1]
+                    target = pieceAt(toFile, toRank)
+                }
+                if (target && target.charAt(0) !== color) {
+                    addMove(piece, file, rank, toFile, toRank)
+                }
+            }
+        }
+        if (type === "k") {
+            addCastlingMoves(position, color, index, moves)
+        }
+    }
+    return moves
+}
+
+function addCastlingMoves(position, color, kingIndex, moves) {
+    const files = position.files
+    const kingSquare = position.indexToSquare(kingIndex)
+    if (isAttacked(position.squares, files, position.ranks, kingIndex, opponent(color))) {
+        return
+    }
+    for (const right of position.getCastlingRights()) {
+        if (right.color !== color) {
+            continue
+        }
+        const castling = position.getCastlingMove(kingSquare, right.rookSquare)
+        if (!castling) {
+            continue
+        }
+        const kingFrom = kingIndex
+        const kingTo = position.squareToIndex(castling.kingSquareTo)
+        const rookFrom = position.squareToIndex(castling.rookSquareFrom)
+        const rookTo = position.squareToIndex(castling.rookSquareTo)
+        // all squares between the outermost squares of king and rook must be empty, except king and rook
+        const min = Math.min(kingFrom, kingTo, rookFrom, rookTo)
+        const max = Math.max(kingFrom, kingTo, rookFrom, rookTo)
+        let free = true
+        for (let index = min; index <= max && free; index++) {
+            if (index !== kingFrom && index !== rookFrom && position.squares[index]) {
+                free = false
+            }
+        }
+        // the king may not pass an attacked square, the target square is checked by `isLegal`
+        const step = kingTo > kingFrom ? 1 : -1
+        for (let index = kingFrom + step; kingTo !== kingFrom && index !== kingTo && free; index += step) {
+            if (isAttacked(position.squares, files, position.ranks, index, opponent(color))) {
+                free = false
+            }
+        }
+        if (free) {
+            moves.push({
+                color: color,
+                piece: color + "k",
+                from: kingSquare,
+                to: castling.kingSquareTo,
+                captured: null,
+                promotion: null,
+                castlingRook: castling.rookSquareFrom,
+                enPassantCapture: null
+            })
+        }
+    }
+}
+
+function applyMove(position, move) {
+    if (move.castlingRook) {
+        const rook = position.getPiece(move.castlingRook)
+        const toRank = Position.squareToCoordinates(move.to)[1]
+        const kingSide = Position.squareToCoordinates(move.to)[0] === position.files - 2
+        position.setPiece(move.from, null)
+        position.setPiece(move.castlingRook, null)
+        position.setPiece(move.to, move.piece)
+        position.setPiece(Position.coordinatesToSquare([kingSide ? position.files - 3 : 3, toRank]), rook)
+    } else {
+        if (move.enPassantCapture) {
+            position.setPiece(move.enPassantCapture, null)
+        }
+        position.setPiece(move.from, null)
+        position.setPiece(move.to, move.promotion ? move.color + move.promotion : move.piece)
+    }
+}
+
+function isLegal(position, move) {
+    const test = position.clone()
+    applyMove(test, move)
+    return !Rules.isCheck(test, move.color)
+}
+
+function isAttacked(squares, files, ranks, index, color) {
+    const file = index % files
+    const rank = Math.floor(index / files)
+    const pieceAt = (file, rank) => {
+        return file >= 0 && file < files && rank >= 0 && rank < ranks ? squares[rank * files + file] || null : undefined
+    }
+    const pawnRank = color === "w" ? rank - 1 : rank + 1
+    if (pieceAt(file - 1, pawnRank) === color + "p" || pieceAt(file + 1, pawnRank) === color + "p") {
+        return true
+    }
+    for (const step of KNIGHT_STEPS) {
+        if (pieceAt(file + step[0], rank + step[1]) === color + "n") {
+            return true
+        }
+    }
+    for (const step of KING_STEPS) {
+        if (pieceAt(file + step[0], rank + step[1]) === color + "k") {
+            return true
+        }
+    }
+    for (const direction of ROOK_DIRECTIONS.concat(BISHOP_DIRECTIONS)) {
+        const slider = ROOK_DIRECTIONS.indexOf(direction) !== -1 ? color + "r" : color + "b"
+        let toFile = file + direction[0]
+        let toRank = rank + direction[1]
+        let target = pieceAt(toFile, toRank)
+        while (target === null) {
+            toFile += direction[0]
+            toRank += direction[1]
+            target = pieceAt(toFile, toRank)
+        }
+        if (target === slider || target === color + "q") {
+            return true
+        }
+    }
+    return false
+}
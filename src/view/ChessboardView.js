@@ -6,6 +6,7 @@
 
 import {VisualMoveInput} from "./VisualMoveInput.js"
 import {Position} from "../model/Position.js"
+import {PieceTypes} from "../model/PieceTypes.js"
 import {EXTENSION_POINT} from "../model/Extension.js"
 import {Svg} from "../lib/Svg.js"
 import {Utils} from "../lib/Utils.js"
@@ -60,9 +61,11 @@ export class ChessboardView {
             }
         }
         this.positionsAnimationTask = Promise.resolve()
+        this.displayPosition = null // shown instead of the position of the board, see `setDisplayPosition`
         this.pointerDownListener = this.pointerDownHandler.bind(this)
-        this.container.addEventListener("mousedown", this.pointerDownListener)
-        this.container.addEventListener("touchstart", this.pointerDownListener, {passive: false})
+        this.touchStartListener = this.touchStartHandler.bind(this)
+        this.container.addEventListener("pointerdown", this.pointerDownListener)
+        this.container.addEventListener("touchstart", this.touchStartListener, {passive: false})
         this.createSvgAndGroups()
         this.handleResize()
     }
@@ -71,6 +74,10 @@ export class ChessboardView {
         this.visualMoveInput.onPointerDown(e)
     }
 
+    touchStartHandler(e) {
+        this.visualMoveInput.onTouchStart(e)
+    }
+
     destroy() {
         this.visualMoveInput.destroy()
         if (this.resizeObserver) {
@@ -79,8 +86,8 @@ export class ChessboardView {
         if (this.resizeListener) {
             window.removeEventListener("resize", this.resizeListener)
         }
-        this.chessboard.context.removeEventListener("mousedown", this.pointerDownListener)
-        this.chessboard.context.removeEventListener("touchstart", this.pointerDownListener)
+        this.container.removeEventListener("pointerdown", this.pointerDownListener)
+        this.container.removeEventListener("touchstart", this.touchStartListener)
         Svg.removeElement(this.svg)
         this.container.remove()
     }
@@ -121,6 +128,7 @@ export class ChessboardView {
         this.piecesLayer = Svg.addElement(this.svg, "g", {class: "pieces-layer"})
         this.piecesGroup = Svg.addElement(this.piecesLayer, "g", {class: "pieces"})
         this.markersTopLayer = Svg.addElement(this.svg, "g", {class: "markers-top-layer"})
+        this.dragLayer = Svg.addElement(this.svg, "g", {class: "drag-layer"})
         this.interactiveTopLayer = Svg.addElement(this.svg, "g", {class: "interactive-top-layer"})
     }
 
@@ -137,8 +145,8 @@ export class ChessboardView {
         }
         this.innerWidth = this.width - 2 * this.borderSize
         this.innerHeight = this.height - 2 * this.borderSize
-        this.squareWidth = this.innerWidth / 8
-        this.squareHeight = this.innerHeight / 8
+        this.squareWidth = this.innerWidth / this.chessboard.props.boardSize.files
+        this.squareHeight = this.innerHeight / this.chessboard.props.boardSize.ranks
         this.scalingX = this.squareWidth / piecesTileSize
         this.scalingY = this.squareHeight / piecesTileSize
         this.pieceXTranslate = (this.squareWidth / 2 - piecesTileSize * this.scalingY / 2)
@@ -181,19 +189,26 @@ export class ChessboardView {
             borderInner.setAttribute("class", "border-inner")
         }
 
-        for (let i = 0; i < 64; i++) {
-            const index = this.chessboard.state.orientation === COLOR.white ? i : 63 - i
-            const squareColor = ((9 * index) & 8) === 0 ? 'black' : 'white'
-            const fieldClass = `square ${squareColor}`
-            const point = this.squareToPoint(Position.indexToSquare(index))
+        const files = this.chessboard.props.boardSize.files
+        const numberOfSquares = files * this.chessboard.props.boardSize.ranks
+        for (let i = 0; i < numberOfSquares; i++) {
+            const index = this.chessboard.state.orientation === COLOR.white ? i : numberOfSquares - 1 - i
+            const square = Position.indexToSquare(index, files)
+            const fieldClass = `square ${this.squareColor(square)}`
+            const point = this.squareToPoint(square)
             const squareRect = Svg.addElement(this.boardGroup, "rect", {
                 x: point.x, y: point.y, width: this.squareWidth, height: this.squareHeight
             })
             squareRect.setAttribute("class", fieldClass)
-            squareRect.setAttribute("data-square", Position.indexToSquare(index))
+            squareRect.setAttribute("data-square", square)
         }
     }
 
+    squareColor(square) {
+        const coordinates = Position.squareToCoordinates(square)
+        return (coordinates[0] + coordinates[1]) % 2 === 0 ? "black" : "white"
+    }
+
     drawCoordinates() {
         if (!this.chessboard.props.style.showCoordinates) {
             return
@@ -202,29 +217,30 @@ export class ChessboardView {
             this.coordinatesGroup.removeChild(this.coordinatesGroup.lastChild)
         }
         const inline = this.chessboard.props.style.borderType !== BORDER_TYPE.frame
-        for (let file = 0; file < 8; file++) {
+        const files = this.chessboard.props.boardSize.files
+        const ranks = this.chessboard.props.boardSize.ranks
+        const whiteOnBottom = this.chessboard.state.orientation === COLOR.white
+        for (let file = 0; file < files; file++) {
+            const fileIndex = whiteOnBottom ? file : files - 1 - file
             let x = this.borderSize + (17 + this.chessboard.props.style.pieces.tileSize * file) * this.scalingX
             let y = this.height - this.scalingY * 3.5
             let cssClass = "coordinate file"
             if (inline) {
                 x = x + this.scalingX * 15.5
-                cssClass += file % 2 ? " white" : " black"
+                cssClass += " " + this.squareColor(Position.coordinatesToSquare([fileIndex, whiteOnBottom ? 0 : ranks - 1]))
             }
             const textElement = Svg.addElement(this.coordinatesGroup, "text", {
                 class: cssClass, x: x, y: y, style: `font-size: ${this.scalingY * 10}px`
             })
-            if (this.chessboard.state.orientation === COLOR.white) {
-                textElement.textContent = String.fromCharCode(97 + file)
-            } else {
-                textElement.textContent = String.fromCharCode(104 - file)
-            }
+            textElement.textContent = String.fromCharCode(97 + fileIndex)
         }
-        for (let rank = 0; rank < 8; rank++) {
+        for (let rank = 0; rank < ranks; rank++) {
+            const rankIndex = whiteOnBottom ? ranks - 1 - rank : rank
             let x = (this.borderSize / 3.7)
             let y = this.borderSize + 25 * this.scalingY + rank * this.squareHeight
             let cssClass = "coordinate rank"
             if (inline) {
-                cssClass += rank % 2 ? " black" : " white"
+                cssClass += " " + this.squareColor(Position.coordinatesToSquare([whiteOnBottom ? 0 : files - 1, rankIndex]))
                 if (this.chessboard.props.style.borderType === BORDER_TYPE.frame) {
                     x = x + this.scalingX * 10
                     y = y - this.scalingY * 15
@@ -236,24 +252,49 @@ export class ChessboardView {
             const textElement = Svg.addElement(this.coordinatesGroup, "text", {
                 class: cssClass, x: x, y: y, style: `font-size: ${this.scalingY * 10}px`
             })
-            if (this.chessboard.state.orientation === COLOR.white) {
-                textElement.textContent = "" + (8 - rank)
-            } else {
-                textElement.textContent = "" + (1 + rank)
-            }
+            textElement.textContent = "" + (1 + rankIndex)
         }
     }
 
     // Pieces //
 
-    redrawPieces(squares = this.chessboard.state.position.squares) {
+    /**
+     * Shows `position` on the board, without changing the position of the board, or the position of the board again
+     * with `null`. For extensions, which show moves that are not made, like premoves. The move input works on the
+     * shown pieces. The next change of the position of the board ends it.
+     */
+    setDisplayPosition(position, animated = false) {
+        const positionFrom = this.getDisplayPosition().clone()
+        this.displayPosition = position
+        return this.chessboard.positionAnimationsQueue.enqueuePositionChange(positionFrom,
+            this.getDisplayPosition().clone(), animated)
+    }
+
+    /**
+     * @returns {Position} the position, which is shown, the one set by `setDisplayPosition` or the position of the board
+     */
+    getDisplayPosition() {
+        return this.displayPosition || this.chessboard.state.position
+    }
+
+    // the piece, which is shown on the square
+    getPiece(square) {
+        return this.getDisplayPosition().getPiece(square)
+    }
+
+    redrawPieces(squares = this.getDisplayPosition().squares) {
         const childNodes = Array.from(this.piecesGroup.childNodes)
         const isDragging = this.visualMoveInput.isDragging()
-        for (let i = 0; i < 64; i++) {
+        const ghostPiece = this.chessboard.props.moveInput.ghostPiece
+        for (let i = 0; i < squares.length; i++) {
             const pieceName = squares[i]
             if (pieceName) {
-                const square = Position.indexToSquare(i)
-                this.drawPieceOnSquare(square, pieceName, isDragging && square === this.visualMoveInput.fromSquare)
+                const square = Position.indexToSquare(i, this.chessboard.props.boardSize.files)
+                const dragged = isDragging && square === this.visualMoveInput.fromSquare
+                const pieceGroup = this.drawPieceOnSquare(square, pieceName, dragged && !ghostPiece)
+                if (dragged && ghostPiece) {
+                    pieceGroup.classList.add("ghost")
+                }
             }
         }
         for (const childNode of childNodes) {
@@ -269,7 +310,7 @@ export class ChessboardView {
         pieceGroup.transform.baseVal.appendItem(transform)
         const spriteUrl = this.chessboard.props.assetsCache ? "" : this.getSpriteUrl()
         const pieceUse = Svg.addElement(pieceGroup, "use", {
-            href: `${spriteUrl}#${pieceName}`, class: "piece"
+            href: `${spriteUrl}#${PieceTypes.getSpriteId(pieceName)}`, class: "piece"
         })
         const transformScale = (this.svg.createSVGTransform())
         transformScale.setScale(this.scalingY, this.scalingY)
@@ -290,7 +331,7 @@ export class ChessboardView {
         pieceGroup.transform.baseVal.appendItem(transform)
         const spriteUrl = this.chessboard.props.assetsCache ? "" : this.getSpriteUrl()
         const pieceUse = Svg.addElement(pieceGroup, "use", {
-            href: `${spriteUrl}#${pieceName}`, class: "piece"
+            href: `${spriteUrl}#${PieceTypes.getSpriteId(pieceName)}`, class: "piece"
         })
         // center on square
         const transformTranslate = (this.svg.createSVGTransform())
@@ -364,7 +405,7 @@ export class ChessboardView {
             type: INPUT_EVENT_TYPE.moveInputStarted,
             square: square, /** square is deprecated, use squareFrom (2023-05-22) */
             squareFrom: square,
-            piece: this.chessboard.getPiece(square)
+            piece: this.getPiece(square)
         }
         if (this.chessboard.state.moveInputCallback) {
             data.moveInputCallbackResult = this.chessboard.state.moveInputCallback(data)
@@ -379,7 +420,7 @@ export class ChessboardView {
             type: INPUT_EVENT_TYPE.movingOverSquare,
             squareFrom: squareFrom,
             squareTo: squareTo,
-            piece: this.chessboard.getPiece(squareFrom)
+            piece: this.getPiece(squareFrom)
         }
         if (this.chessboard.state.moveInputCallback) {
             data.moveInputCallbackResult = this.chessboard.state.moveInputCallback(data)
@@ -387,18 +428,22 @@ export class ChessboardView {
         this.chessboard.state.invokeExtensionPoints(EXTENSION_POINT.moveInput, data)
     }
 
-    validateMoveInputCallback(squareFrom, squareTo) {
+    validateMoveInputCallback(squareFrom, squareTo, castling = null) {
         const data = {
             chessboard: this.chessboard,
             type: INPUT_EVENT_TYPE.validateMoveInput,
             squareFrom: squareFrom,
             squareTo: squareTo,
-            piece: this.chessboard.getPiece(squareFrom)
+            piece: this.getPiece(squareFrom),
+            castling: castling, // the squares of king and rook, if the king was moved onto its own rook
+            // the move, which is made, if it is valid, the event handler may set another `promotion` or move
+            move: this.getDisplayPosition().getMove(squareFrom, squareTo)
         }
         if (this.chessboard.state.moveInputCallback) {
             data.moveInputCallbackResult = this.chessboard.state.moveInputCallback(data)
         }
         this.chessboard.state.invokeExtensionPoints(EXTENSION_POINT.moveInput, data)
+        this.chessboard.state.moveInputProcess.move = data.move
         return data.moveInputCallbackResult
     }
 
@@ -443,22 +488,37 @@ export class ChessboardView {
     }
 
     indexToPoint(index) {
+        const files = this.chessboard.props.boardSize.files
+        const ranks = this.chessboard.props.boardSize.ranks
         let x, y
         if (this.chessboard.state.orientation === COLOR.white) {
-            x = this.borderSize + (index % 8) * this.squareWidth
-            y = this.borderSize + (7 - Math.floor(index / 8)) * this.squareHeight
+            x = this.borderSize + (index % files) * this.squareWidth
+            y = this.borderSize + (ranks - 1 - Math.floor(index / files)) * this.squareHeight
         } else {
-            x = this.borderSize + (7 - index % 8) * this.squareWidth
-            y = this.borderSize + (Math.floor(index / 8)) * this.squareHeight
+            x = this.borderSize + (files - 1 - index % files) * this.squareWidth
+            y = this.borderSize + (Math.floor(index / files)) * this.squareHeight
         }
         return {x: x, y: y}
     }
 
     squareToPoint(square) {
-        const index = Position.squareToIndex(square)
+        const index = Position.squareToIndex(square, this.chessboard.props.boardSize.files)
         return this.indexToPoint(index)
     }
 
+    // the point of the pointer in the coordinates of the board, also if the board is transformed or scaled by CSS
+    clientToPoint(clientX, clientY) {
+        const matrix = this.svg.getScreenCTM ? this.svg.getScreenCTM() : null
+        if (matrix) {
+            const point = this.svg.createSVGPoint()
+            point.x = clientX
+            point.y = clientY
+            return point.matrixTransform(matrix.inverse())
+        }
+        const rect = this.svg.getBoundingClientRect()
+        return {x: clientX - rect.left, y: clientY - rect.top}
+    }
+
     getSpriteUrl() {
         if (Utils.isAbsoluteUrl(this.chessboard.props.style.pieces.file)) {
             return this.chessboard.props.style.pieces.file
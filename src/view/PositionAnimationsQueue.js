@@ -78,15 +78,19 @@ export class PromiseQueue {
 const CHANGE_TYPE = {
     move: 0,
     appear: 1,
-    disappear: 2
+    disappear: 2,
+    morph: 3 // a moving piece, which changes into another piece, like a promoted pawn
 }
 
 export class PositionsAnimation {
 
-    constructor(view, fromPosition, toPosition, duration, callback) {
+    /**
+     * Without `changes`, the changes are guessed from the differences of the positions, see `seekChanges`
+     */
+    constructor(view, fromPosition, toPosition, duration, callback, changes = undefined) {
         this.view = view
         if (fromPosition && toPosition) {
-            this.animatedElements = this.createAnimation(fromPosition.squares, toPosition.squares)
+            this.animatedElements = this.createAnimation(fromPosition.squares, toPosition.squares, toPosition.files, changes)
             this.duration = duration
             this.callback = callback
             this.frameHandle = requestAnimationFrame(this.animationStep.bind(this))
@@ -99,9 +103,9 @@ export class PositionsAnimation {
         })
     }
 
-    static seekChanges(fromSquares, toSquares) {
+    static seekChanges(fromSquares, toSquares, files = 8) {
         const appearedList = [], disappearedList = [], changes = []
-        for (let i = 0; i < 64; i++) {
+        for (let i = 0; i < fromSquares.length; i++) {
             const previousSquare = fromSquares[i]
             const newSquare = toSquares[i]
             if (newSquare !== previousSquare) {
@@ -114,11 +118,11 @@ export class PositionsAnimation {
             }
         }
         appearedList.forEach((appeared) => {
-            let shortestDistance = 8
+            let shortestDistance = Infinity
             let foundMoved = null
             disappearedList.forEach((disappeared) => {
                 if (appeared.piece === disappeared.piece) {
-                    const moveDistance = PositionsAnimation.squareDistance(appeared.index, disappeared.index)
+                    const moveDistance = PositionsAnimation.squareDistance(appeared.index, disappeared.index, files)
                     if (moveDistance < shortestDistance) {
                         foundMoved = disappeared
                         shortestDistance = moveDistance
@@ -143,8 +147,60 @@ export class PositionsAnimation {
         return changes
     }
 
-    createAnimation(fromSquares, toSquares) {
-        const changes = PositionsAnimation.seekChanges(fromSquares, toSquares)
+    /**
+     * The changes of exactly one move, `{from, to, promotion, castlingRook, enPassantCapture}`. With
+     * `castlingRook`, king and rook move to their castling squares, `to` is not needed.
+     */
+    static seekMoveChanges(position, move) {
+        const piece = position.getPiece(move.from)
+        if (!piece) {
+            throw Error(`no piece on ${move.from}`)
+        }
+        const changes = []
+        if (move.castlingRook) {
+            const kingCoordinates = Position.squareToCoordinates(move.from)
+            const kingSide = Position.squareToCoordinates(move.castlingRook)[0] > kingCoordinates[0]
+            changes.push({
+                type: CHANGE_TYPE.move, piece: piece, atIndex: position.squareToIndex(move.from),
+                toIndex: kingCoordinates[1] * position.files + (kingSide ? position.files - 2 : 2)
+            })
+            changes.push({
+                type: CHANGE_TYPE.move, piece: position.getPiece(move.castlingRook),
+                atIndex: position.squareToIndex(move.castlingRook),
+                toIndex: kingCoordinates[1] * position.files + (kingSide ? position.files - 3 : 3)
+            })
+            return changes
+        }
+        const capturedSquare = move.enPassantCapture || (position.getPiece(move.to) ? move.to : null)
+        if (capturedSquare) {
+            changes.push({
+                type: CHANGE_TYPE.disappear, piece: position.getPiece(capturedSquare),
+                atIndex: position.squareToIndex(capturedSquare)
+            })
+        }
+        changes.push({
+            type: move.promotion ? CHANGE_TYPE.morph : CHANGE_TYPE.move, piece: piece,
+            toPiece: move.promotion ? piece.charAt(0) + move.promotion : piece,
+            atIndex: position.squareToIndex(move.from), toIndex: position.squareToIndex(move.to)
+        })
+        return changes
+    }
+
+    /**
+     * Applies changes of `seekMoveChanges` to `position`
+     */
+    static applyChanges(position, changes) {
+        for (const change of changes) {
+            position.setPiece(position.indexToSquare(change.atIndex), null)
+        }
+        for (const change of changes) {
+            if (change.type !== CHANGE_TYPE.disappear) {
+                position.setPiece(position.indexToSquare(change.toIndex), change.toPiece || change.piece)
+            }
+        }
+    }
+
+    createAnimation(fromSquares, toSquares, files, changes = PositionsAnimation.seekChanges(fromSquares, toSquares, files)) {
         const animatedElements = []
         changes.forEach((change) => {
             const animatedItem = {
@@ -152,17 +208,25 @@ export class PositionsAnimation {
             }
             switch (change.type) {
                 case CHANGE_TYPE.move:
-                    animatedItem.element = this.view.getPieceElement(Position.indexToSquare(change.atIndex))
+                    animatedItem.element = this.view.getPieceElement(Position.indexToSquare(change.atIndex, files))
                     animatedItem.element.parentNode.appendChild(animatedItem.element) // move element to top layer
                     animatedItem.atPoint = this.view.indexToPoint(change.atIndex)
                     animatedItem.toPoint = this.view.indexToPoint(change.toIndex)
                     break
                 case CHANGE_TYPE.appear:
-                    animatedItem.element = this.view.drawPieceOnSquare(Position.indexToSquare(change.atIndex), change.piece)
+                    animatedItem.element = this.view.drawPieceOnSquare(Position.indexToSquare(change.atIndex, files), change.piece)
                     animatedItem.element.style.opacity = 0
                     break
                 case CHANGE_TYPE.disappear:
-                    animatedItem.element = this.view.getPieceElement(Position.indexToSquare(change.atIndex))
+                    animatedItem.element = this.view.getPieceElement(Position.indexToSquare(change.atIndex, files))
+                    break
+                case CHANGE_TYPE.morph:
+                    animatedItem.element = this.view.getPieceElement(Position.indexToSquare(change.atIndex, files))
+                    animatedItem.element.parentNode.appendChild(animatedItem.element)
+                    animatedItem.atPoint = this.view.indexToPoint(change.atIndex)
+                    animatedItem.toPoint = this.view.indexToPoint(change.toIndex)
+                    animatedItem.appearingElement = this.view.drawPieceOnSquare(Position.indexToSquare(change.toIndex, files), change.toPiece)
+                    animatedItem.appearingElement.style.opacity = 0
                     break
             }
             animatedElements.push(animatedItem)
@@ -183,7 +247,7 @@ export class PositionsAnimation {
         } else {
             cancelAnimationFrame(this.frameHandle)
             this.animatedElements.forEach((animatedItem) => {
-                if (animatedItem.type === CHANGE_TYPE.disappear) {
+                if (animatedItem.type === CHANGE_TYPE.disappear || animatedItem.type === CHANGE_TYPE.morph) {
                     Svg.removeElement(animatedItem.element)
                 }
             })
@@ -202,6 +266,10 @@ export class PositionsAnimation {
         this.animatedElements.forEach((animatedItem) => {
             if (animatedItem.element) {
                 switch (animatedItem.type) {
+                    case CHANGE_TYPE.morph:
+                        animatedItem.element.style.opacity = Math.round((1 - progress) * 100) / 100
+                        animatedItem.appearingElement.style.opacity = Math.round(progress * 100) / 100
+                    // falls through, the morphing piece is moved like any other
                     case CHANGE_TYPE.move:
                         animatedItem.element.transform.baseVal.removeItem(0)
                         const transform = (this.view.svg.createSVGTransform())
@@ -227,11 +295,11 @@ export class PositionsAnimation {
         })
     }
 
-    static squareDistance(index1, index2) {
-        const file1 = index1 % 8
-        const rank1 = Math.floor(index1 / 8)
-        const file2 = index2 % 8
-        const rank2 = Math.floor(index2 / 8)
+    static squareDistance(index1, index2, files = 8) {
+        const file1 = index1 % files
+        const rank1 = Math.floor(index1 / files)
+        const file2 = index2 % files
+        const rank2 = Math.floor(index2 / files)
         return Math.max(Math.abs(rank2 - rank1), Math.abs(file2 - file1))
     }
 
@@ -244,8 +312,8 @@ export class PositionAnimationsQueue extends PromiseQueue {
         this.chessboard = chessboard
     }
 
-    async enqueuePositionChange(positionFrom, positionTo, animated) {
-        if(positionFrom.getFen() === positionTo.getFen()) {
+    async enqueuePositionChange(positionFrom, positionTo, animated, changes = undefined) {
+        if (positionFrom.equals(positionTo, true)) {
             return Promise.resolve()
         } else {
             return super.enqueue(() => new Promise((resolve) => {
@@ -260,7 +328,7 @@ export class PositionAnimationsQueue extends PromiseQueue {
                             this.chessboard.view.redrawPieces(positionTo.squares)
                         }
                         resolve()
-                    }
+                    }, changes
                 )
             }))
         }
@@ -268,7 +336,7 @@ export class PositionAnimationsQueue extends PromiseQueue {
 
     async enqueueTurnBoard(position, color, animated) {
         return super.enqueue(() => new Promise((resolve) => {
-            const emptyPosition = new Position(FEN.empty)
+            const emptyPosition = new Position(FEN.empty, position.files, position.ranks)
             let duration = animated ? this.chessboard.props.style.animationDuration : 0
             if(this.queue.length > 0) {
                 duration = duration / (1 + Math.pow(this.queue.length / 5, 2))
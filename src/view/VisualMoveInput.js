@@ -6,6 +6,7 @@
 
 import {Svg} from "../lib/Svg.js"
 import {Utils} from "../lib/Utils.js"
+import {EXTENSION_POINT} from "../model/Extension.js"
 
 const MOVE_INPUT_STATE = {
     waitForInputStart: "waitForInputStart",
@@ -23,10 +24,22 @@ export const MOVE_CANCELED_REASON = {
     secondaryClick: "secondaryClick", // right click while moving
     movedOutOfBoard: "movedOutOfBoard",
     draggedBack: "draggedBack", // dragged to the start square
-    clickedAnotherPiece: "clickedAnotherPiece" // of the same color
+    clickedAnotherPiece: "clickedAnotherPiece", // of the same color
+    escapePressed: "escapePressed", // canceled with the keyboard
+    pointerCanceled: "pointerCanceled", // the browser canceled the pointer, like for scrolling or a lost touch
+    notDragged: "notDragged" // released without dragging, in the move input mode "dragOnly"
 }
 
-const DRAG_THRESHOLD = 4
+// a result of `validateMoveInput`, besides `true`, `false` or a Promise of them
+export const VALIDATION_RESULT = {
+    recorded: "recorded" // the move is not made, but recorded and shown by an extension, like a premove
+}
+
+export const MOVE_INPUT_MODE = {
+    dragOrClick: "dragOrClick", // move the pieces by drag and drop or by clicking the start and the target square
+    clickOnly: "clickOnly", // only by clicking, dragging a piece has no effect
+    dragOnly: "dragOnly" // only by drag and drop, a click on a piece cancels the move
+}
 
 export class VisualMoveInput {
 
@@ -36,6 +49,8 @@ export class VisualMoveInput {
         this.moveInputState = null
         this.fromSquare = null
         this.toSquare = null
+        this.pointerId = null // the pointer, which is pressed for the move
+        this.pointerType = null // "mouse", "pen" or "touch"
 
         this.setMoveInputState(MOVE_INPUT_STATE.waitForInputStart)
     }
@@ -43,11 +58,15 @@ export class VisualMoveInput {
     moveInputStartedCallback(square) {
         const result = this.view.moveInputStartedCallback(square)
         if (result) {
-            this.chessboard.state.moveInputProcess = Utils.createTask()
-            this.chessboard.state.moveInputProcess.then((result) => {
-                if (this.moveInputState === MOVE_INPUT_STATE.waitForInputStart ||
-                    this.moveInputState === MOVE_INPUT_STATE.moveDone) {
-                    this.view.moveInputFinishedCallback(this.fromSquare, this.toSquare, result)
+            const moveInputProcess = Utils.createTask()
+            moveInputProcess.squareFrom = square
+            moveInputProcess.squareTo = null // set on validation, the squares are reset, before the process is done
+            this.chessboard.state.moveInputProcess = moveInputProcess
+            moveInputProcess.then((result) => {
+                if (this.chessboard.state && // the board may be destroyed meanwhile
+                    (this.moveInputState === MOVE_INPUT_STATE.waitForInputStart ||
+                        this.moveInputState === MOVE_INPUT_STATE.moveDone)) {
+                    this.view.moveInputFinishedCallback(moveInputProcess.squareFrom, moveInputProcess.squareTo, result)
                 }
             })
         }
@@ -58,9 +77,15 @@ export class VisualMoveInput {
         this.view.movingOverSquareCallback(fromSquare, toSquare)
     }
 
-    validateMoveInputCallback(fromSquare, toSquare) {
-        const result = this.view.validateMoveInputCallback(fromSquare, toSquare)
-        this.chessboard.state.moveInputProcess.resolve(result)
+    /**
+     * @returns {boolean|Promise<boolean>} the result of the validation, a Promise is resolved later in `waitForValidation`
+     */
+    validateMoveInputCallback(fromSquare, toSquare, castling = null) {
+        const result = this.view.validateMoveInputCallback(fromSquare, toSquare, castling)
+        this.chessboard.state.moveInputProcess.squareTo = toSquare
+        if (!VisualMoveInput.isPromise(result)) {
+            this.chessboard.state.moveInputProcess.resolve(result)
+        }
         return result
     }
 
@@ -82,52 +107,21 @@ export class VisualMoveInput {
                 if (MOVE_INPUT_STATE.waitForInputStart !== prevState && MOVE_INPUT_STATE.clickTo !== prevState) {
                     throw new Error("moveInputState")
                 }
-                if (this.pointerMoveListener) {
-                    removeEventListener(this.pointerMoveListener.type, this.pointerMoveListener)
-                    this.pointerMoveListener = null
-                }
-                if (this.pointerUpListener) {
-                    removeEventListener(this.pointerUpListener.type, this.pointerUpListener)
-                    this.pointerUpListener = null
-                }
                 this.fromSquare = params.square
                 this.toSquare = null
                 this.movedPiece = params.piece
                 this.startPoint = params.point
-                if (!this.pointerMoveListener && !this.pointerUpListener) {
-                    if (params.type === "mousedown") {
-                        this.pointerMoveListener = this.onPointerMove.bind(this)
-                        this.pointerMoveListener.type = "mousemove"
-                        addEventListener("mousemove", this.pointerMoveListener)
-                        this.pointerUpListener = this.onPointerUp.bind(this)
-                        this.pointerUpListener.type = "mouseup"
-                        addEventListener("mouseup", this.pointerUpListener)
-                    } else if (params.type === "touchstart") {
-                        this.pointerMoveListener = this.onPointerMove.bind(this)
-                        this.pointerMoveListener.type = "touchmove"
-                        addEventListener("touchmove", this.pointerMoveListener)
-                        this.pointerUpListener = this.onPointerUp.bind(this)
-                        this.pointerUpListener.type = "touchend"
-                        addEventListener("touchend", this.pointerUpListener)
-                    } else {
-                        throw Error("4b74af")
-                    }
-                    if (!this.contextMenuListener) {
-                        this.contextMenuListener = this.onContextMenu.bind(this)
-                        this.chessboard.view.svg.addEventListener("contextmenu", this.contextMenuListener)
-                    }
-                } else {
-                    throw Error("94ad0c")
-                }
+                this.addPointerListeners()
                 break
 
             case MOVE_INPUT_STATE.clickTo:
                 if (this.draggablePiece) {
                     Svg.removeElement(this.draggablePiece)
                     this.draggablePiece = null
+                    this.draggablePiecePoint = null
                 }
                 if (prevState === MOVE_INPUT_STATE.dragTo) {
-                    this.view.setPieceVisibility(params.square, true)
+                    this.setStartPieceDragged(params.square, false)
                 }
                 break
 
@@ -143,7 +137,7 @@ export class VisualMoveInput {
                     throw new Error("moveInputState")
                 }
                 if (this.view.chessboard.state.inputEnabled()) {
-                    this.view.setPieceVisibility(params.square, false)
+                    this.setStartPieceDragged(params.square, true)
                     this.createDraggablePiece(params.piece)
                 }
                 break
@@ -153,7 +147,7 @@ export class VisualMoveInput {
                     throw new Error("moveInputState")
                 }
                 if (this.view.chessboard.state.inputEnabled()) {
-                    this.view.setPieceVisibility(params.square, false)
+                    this.setStartPieceDragged(params.square, true)
                     this.createDraggablePiece(params.piece)
                 }
                 break
@@ -163,48 +157,36 @@ export class VisualMoveInput {
                     throw new Error("moveInputState")
                 }
                 this.toSquare = params.square
-                if (this.toSquare && this.validateMoveInputCallback(this.fromSquare, this.toSquare)) {
-                    this.chessboard.movePiece(this.fromSquare, this.toSquare, prevState === MOVE_INPUT_STATE.clickTo).then(() => {
-                        if (prevState === MOVE_INPUT_STATE.clickTo) {
-                            this.view.setPieceVisibility(this.toSquare, true)
-                        }
-                        this.setMoveInputState(MOVE_INPUT_STATE.reset)
-                    })
+                // the king moved onto its own rook, castling in Chess960 style
+                const castling = this.toSquare ? this.view.getDisplayPosition().getCastlingMove(this.fromSquare, this.toSquare) : null
+                const valid = this.toSquare && this.validateMoveInputCallback(this.fromSquare, this.toSquare, castling)
+                if (VisualMoveInput.isPromise(valid)) {
+                    this.waitForValidation(valid)
                 } else {
-                    this.view.setPieceVisibility(this.fromSquare, true)
-                    this.setMoveInputState(MOVE_INPUT_STATE.reset)
+                    this.finishMove(valid, prevState === MOVE_INPUT_STATE.clickTo)
                 }
                 break
 
             case MOVE_INPUT_STATE.reset:
-                if (this.fromSquare && !this.toSquare && this.movedPiece) {
-                    this.chessboard.state.position.setPiece(this.fromSquare, this.movedPiece)
-                }
                 this.fromSquare = null
                 this.toSquare = null
                 this.movedPiece = null
                 if (this.draggablePiece) {
                     Svg.removeElement(this.draggablePiece)
                     this.draggablePiece = null
+                    this.draggablePiecePoint = null
                 }
-                if (this.pointerMoveListener) {
-                    removeEventListener(this.pointerMoveListener.type, this.pointerMoveListener)
-                    this.pointerMoveListener = null
-                }
-                if (this.pointerUpListener) {
-                    removeEventListener(this.pointerUpListener.type, this.pointerUpListener)
-                    this.pointerUpListener = null
-                }
-                if (this.contextMenuListener) {
-                    removeEventListener("contextmenu", this.contextMenuListener)
-                    this.contextMenuListener = null
-                }
+                this.removePointerListeners()
                 this.setMoveInputState(MOVE_INPUT_STATE.waitForInputStart)
                 // set temporarily hidden pieces visible again
                 const hiddenPieces = this.view.piecesGroup.querySelectorAll("[visibility=hidden]")
                 for (let i = 0; i < hiddenPieces.length; i++) {
                     hiddenPieces[i].removeAttribute("visibility")
                 }
+                const ghostPieces = this.view.piecesGroup.querySelectorAll(".ghost")
+                for (let i = 0; i < ghostPieces.length; i++) {
+                    ghostPieces[i].classList.remove("ghost")
+                }
                 break
 
             default:
@@ -212,45 +194,243 @@ export class VisualMoveInput {
         }
     }
 
+    // makes the validated move or moves the piece back, if it was rejected
+    finishMove(valid, animated) {
+        if (valid === VALIDATION_RESULT.recorded) {
+            // no snap back, the extension shows the piece on the target square with `view.setDisplayPosition`
+            this.setMoveInputState(MOVE_INPUT_STATE.reset)
+        } else if (valid) {
+            // with the side to move, castling, en passant and promotion, as completed by the validation
+            const move = this.chessboard.state.moveInputProcess.move ||
+                this.chessboard.state.position.getMove(this.fromSquare, this.toSquare)
+            this.chessboard.makeMove(move, animated).then(() => {
+                if (animated && !move.castlingRook) {
+                    this.view.setPieceVisibility(move.to, true)
+                }
+                this.setMoveInputState(MOVE_INPUT_STATE.reset)
+            })
+        } else {
+            const fromSquare = this.fromSquare
+            const toSquare = this.toSquare
+            const draggedPiece = this.takeDraggablePiece()
+            this.view.setPieceVisibility(this.fromSquare, true)
+            this.setMoveInputState(MOVE_INPUT_STATE.reset)
+            this.snapBack(draggedPiece, fromSquare, toSquare, null)
+        }
+    }
+
+    /**
+     * The validation returned a Promise, like from a server or a Web Worker. Until it is resolved, the piece
+     * waits on the target square in the "pending" style and the move input is blocked.
+     */
+    waitForValidation(validation) {
+        if (!this.draggablePiece) { // moved by clicks
+            this.createDraggablePiece(this.movedPiece)
+            this.setStartPieceDragged(this.fromSquare, true)
+        }
+        const point = this.view.squareToPoint(this.toSquare)
+        this.draggablePiecePoint = {x: point.x + this.view.squareWidth / 2, y: point.y + this.view.squareHeight / 2}
+        this.draggablePieceScale = 1
+        this.draggablePiece.setAttribute("transform",
+            `translate(${this.draggablePiecePoint.x}, ${this.draggablePiecePoint.y}) scale(1)`)
+        this.draggablePiece.classList.add("pending")
+        const moveInputProcess = this.chessboard.state.moveInputProcess
+        validation.catch((error) => {
+            console.error("validateMoveInput failed", error)
+            return false
+        }).then((valid) => {
+            if (!this.chessboard.state || this.moveInputState !== MOVE_INPUT_STATE.moveDone) {
+                return // the board was destroyed meanwhile
+            }
+            moveInputProcess.resolve(valid)
+            this.finishMove(valid, false)
+        })
+    }
+
+    static isPromise(value) {
+        return !!value && typeof value.then === "function"
+    }
+
+    // the listeners of a running move, the captured events of the pressed pointer also bubble up to the window
+    addPointerListeners() {
+        if (!this.pointerMoveListener) {
+            this.pointerMoveListener = this.onPointerMove.bind(this)
+            this.pointerUpListener = this.onPointerUp.bind(this)
+            this.pointerCancelListener = this.onPointerCancel.bind(this)
+            this.contextMenuListener = this.onContextMenu.bind(this)
+            addEventListener("pointermove", this.pointerMoveListener)
+            addEventListener("pointerup", this.pointerUpListener)
+            addEventListener("pointercancel", this.pointerCancelListener)
+            this.chessboard.view.svg.addEventListener("contextmenu", this.contextMenuListener)
+        }
+    }
+
+    removePointerListeners() {
+        if (this.pointerMoveListener) {
+            removeEventListener("pointermove", this.pointerMoveListener)
+            removeEventListener("pointerup", this.pointerUpListener)
+            removeEventListener("pointercancel", this.pointerCancelListener)
+            this.chessboard.view.svg.removeEventListener("contextmenu", this.contextMenuListener)
+            this.pointerMoveListener = null
+            this.pointerUpListener = null
+            this.pointerCancelListener = null
+            this.contextMenuListener = null
+        }
+        this.releasePointer()
+    }
+
+    // the events of the pointer go to the board, until it is released, also when it leaves the board
+    capturePointer(e) {
+        this.pointerId = e.pointerId
+        this.pointerType = e.pointerType
+        if (this.view.container.setPointerCapture) {
+            try {
+                this.view.container.setPointerCapture(e.pointerId)
+            } catch (error) {
+                // the pointer is not active anymore
+            }
+        }
+    }
+
+    releasePointer() {
+        if (this.pointerId !== null && this.view.container.hasPointerCapture &&
+            this.view.container.hasPointerCapture(this.pointerId)) {
+            this.view.container.releasePointerCapture(this.pointerId)
+        }
+        this.pointerId = null
+    }
+
+    // the square under the pointer, the target of captured events is the board, so it is found by the position
+    squareAt(e) {
+        let target = e.target
+        if (!(target && target.parentElement === this.view.boardGroup) && document.elementFromPoint) {
+            target = document.elementFromPoint(e.clientX, e.clientY)
+        }
+        if (target && target.getAttribute && target.parentElement === this.view.boardGroup) {
+            return target.getAttribute("data-square")
+        }
+        return null
+    }
+
+    // the piece on the start square stays hidden while dragging, or faded, if `ghostPiece` is set
+    setStartPieceDragged(square, dragged) {
+        if (this.chessboard.props.moveInput.ghostPiece) {
+            const piece = this.view.getPieceElement(square)
+            if (piece) {
+                piece.classList.toggle("ghost", dragged)
+            }
+        } else {
+            this.view.setPieceVisibility(square, !dragged)
+        }
+    }
+
+    // the dragged piece is drawn in the board, so it is placed right, also in transformed or scaled containers
     createDraggablePiece(pieceName) {
-        // maybe I should use the existing piece from the board and don't create a new one
         if (this.draggablePiece) {
             throw Error("draggablePiece already exists")
         }
-        this.draggablePiece = Svg.createSvg(document.body)
-        this.draggablePiece.classList.add("cm-chessboard-draggable-piece")
-        this.draggablePiece.setAttribute("width", this.view.squareWidth)
-        this.draggablePiece.setAttribute("height", this.view.squareHeight)
-        this.draggablePiece.setAttribute("style", "pointer-events: none")
-        this.draggablePiece.name = pieceName
-        const spriteUrl = this.chessboard.props.assetsCache ? "" : this.view.getSpriteUrl()
-        const piece = Svg.addElement(this.draggablePiece, "use", {
-            href: `${spriteUrl}#${pieceName}`
-        })
-        const scaling = this.view.squareHeight / this.chessboard.props.style.pieces.tileSize
-        const transformScale = (this.draggablePiece.createSVGTransform())
-        transformScale.setScale(scaling, scaling)
-        piece.transform.baseVal.appendItem(transformScale)
+        this.draggablePiece = Svg.addElement(this.view.dragLayer, "g", {class: "dragged-piece"})
+        // lifted on touch devices, larger than the finger on it
+        this.draggablePieceScale = this.pointerType === "touch" ? this.chessboard.props.moveInput.liftedPieceScale : 1
+        const offset = -this.view.squareHeight / 2
+        this.view.drawPiece(this.draggablePiece, pieceName, {x: offset, y: offset})
+    }
+
+    moveDraggablePiece(clientX, clientY) {
+        this.draggablePiecePoint = this.view.clientToPoint(clientX, clientY)
+        this.draggablePiece.setAttribute("transform",
+            `translate(${this.draggablePiecePoint.x}, ${this.draggablePiecePoint.y}) scale(${this.draggablePieceScale})`)
+    }
+
+    // hands the dragged piece over to `snapBack`, so it is not removed on reset
+    takeDraggablePiece() {
+        if (!this.draggablePiece || !this.draggablePiecePoint) {
+            return null
+        }
+        const draggedPiece = {
+            element: this.draggablePiece, point: this.draggablePiecePoint, scale: this.draggablePieceScale
+        }
+        this.draggablePiece = null
+        this.draggablePiecePoint = null
+        return draggedPiece
     }
 
-    moveDraggablePiece(x, y) {
-        this.draggablePiece.setAttribute("style",
-            `pointer-events: none; position: absolute; left: ${x - (this.view.squareHeight / 2)}px; top: ${y - (this.view.squareHeight / 2)}px`)
+    /**
+     * Animates the dropped piece back to its start square, after the move was canceled (`reason`) or rejected by
+     * `validateMoveInput` (`reason` is null).
+     */
+    snapBack(draggedPiece, squareFrom, squareTo, reason) {
+        this.chessboard.state.invokeExtensionPoints(EXTENSION_POINT.snapBack, {
+            chessboard: this.chessboard,
+            piece: this.view.getPiece(squareFrom),
+            squareFrom: squareFrom,
+            squareTo: squareTo,
+            reason: reason,
+            rejected: !reason
+        })
+        if (!draggedPiece) {
+            return Promise.resolve()
+        }
+        const squarePoint = this.view.squareToPoint(squareFrom)
+        const from = draggedPiece.point
+        const to = {x: squarePoint.x + this.view.squareWidth / 2, y: squarePoint.y + this.view.squareHeight / 2}
+        const duration = this.chessboard.props.style.animationDuration
+        this.setStartPieceDragged(squareFrom, true)
+        return new Promise((resolve) => {
+            const finish = () => {
+                Svg.removeElement(draggedPiece.element)
+                // the start piece shows up again, if it is not dragged again meanwhile
+                if (this.chessboard.state && !(this.isDragging() && this.fromSquare === squareFrom)) {
+                    const piece = this.view.piecesGroup.querySelector(`g[data-square='${squareFrom}']`)
+                    if (piece) {
+                        piece.removeAttribute("visibility")
+                        piece.classList.remove("ghost")
+                    }
+                }
+                resolve()
+            }
+            if (!duration) {
+                finish()
+                return
+            }
+            let startTime = null
+            const animationStep = (time) => {
+                if (!this.chessboard.state) { // board was destroyed
+                    resolve()
+                    return
+                }
+                if (startTime === null) {
+                    startTime = time
+                }
+                const t = Math.min(1, (time - startTime) / duration)
+                const progress = t < .5 ? 2 * t * t : -1 + (4 - 2 * t) * t // easeInOut
+                draggedPiece.element.setAttribute("transform",
+                    `translate(${from.x + (to.x - from.x) * progress}, ${from.y + (to.y - from.y) * progress}) ` +
+                    `scale(${draggedPiece.scale + (1 - draggedPiece.scale) * progress})`)
+                if (t < 1) {
+                    requestAnimationFrame(animationStep)
+                } else {
+                    finish()
+                }
+            }
+            requestAnimationFrame(animationStep)
+        })
     }
 
     onPointerDown(e) {
-        if (!(e.type === "mousedown" && e.button === 0 || e.type === "touchstart")) {
+        // only the primary pointer and its main button, a second finger while moving is ignored
+        if (!e.isPrimary || e.button !== 0 || this.pointerId !== null) {
             return
         }
         const square = e.target.getAttribute("data-square")
         if (!square) { // pointer on square
             return
         }
-        const pieceName = this.chessboard.getPiece(square)
+        const pieceName = this.view.getPiece(square)
         let color
         if (pieceName) {
             color = pieceName ? pieceName.substring(0, 1) : null
-            // allow scrolling, if not pointed on draggable piece
+            // allow scrolling, if not pointed on draggable piece, see `onTouchStart`
             if (color === "w" && this.chessboard.state.inputWhiteEnabled ||
                 color === "b" && this.chessboard.state.inputBlackEnabled) {
                 e.preventDefault()
@@ -259,40 +439,36 @@ export class VisualMoveInput {
         if (this.moveInputState !== MOVE_INPUT_STATE.waitForInputStart ||
             this.chessboard.state.inputWhiteEnabled && color === "w" ||
             this.chessboard.state.inputBlackEnabled && color === "b") {
-            let point
-            if (e.type === "mousedown") {
-                point = {x: e.clientX, y: e.clientY}
-            } else if (e.type === "touchstart") {
-                point = {x: e.touches[0].clientX, y: e.touches[0].clientY}
-            }
+            const point = {x: e.clientX, y: e.clientY}
             if (this.moveInputState === MOVE_INPUT_STATE.waitForInputStart && pieceName && this.moveInputStartedCallback(square)) {
+                this.capturePointer(e)
                 this.setMoveInputState(MOVE_INPUT_STATE.pieceClickedThreshold, {
                     square: square,
                     piece: pieceName,
-                    point: point,
-                    type: e.type
+                    point: point
                 })
             } else if (this.moveInputState === MOVE_INPUT_STATE.clickTo) {
                 if (square === this.fromSquare) {
+                    this.capturePointer(e)
                     this.setMoveInputState(MOVE_INPUT_STATE.secondClickThreshold, {
                         square: square,
                         piece: pieceName,
-                        point: point,
-                        type: e.type
+                        point: point
                     })
                 } else {
-                    const pieceName = this.chessboard.getPiece(square)
+                    const pieceName = this.view.getPiece(square)
                     const pieceColor = pieceName ? pieceName.substring(0, 1) : null
-                    const startPieceName = this.chessboard.getPiece(this.fromSquare)
+                    const startPieceName = this.view.getPiece(this.fromSquare)
                     const startPieceColor = startPieceName ? startPieceName.substring(0, 1) : null
-                    if (color && startPieceColor === pieceColor) {
+                    if (color && startPieceColor === pieceColor &&
+                        !this.view.getDisplayPosition().getCastlingMove(this.fromSquare, square)) {
                         this.moveInputCanceledCallback(this.fromSquare, square, MOVE_CANCELED_REASON.clickedAnotherPiece)
                         if (this.moveInputStartedCallback(square)) {
+                            this.capturePointer(e)
                             this.setMoveInputState(MOVE_INPUT_STATE.pieceClickedThreshold, {
                                 square: square,
                                 piece: pieceName,
-                                point: point,
-                                type: e.type
+                                point: point
                             })
                         } else {
                             this.setMoveInputState(MOVE_INPUT_STATE.reset)
@@ -305,23 +481,27 @@ export class VisualMoveInput {
         }
     }
 
+    // touch scrolling starts before the pointer events can prevent it, so it is prevented on draggable pieces here
+    onTouchStart(e) {
+        const square = e.target.getAttribute && e.target.getAttribute("data-square")
+        const pieceName = square ? this.view.getPiece(square) : null
+        const color = pieceName ? pieceName.substring(0, 1) : null
+        if (this.moveInputState !== MOVE_INPUT_STATE.waitForInputStart ||
+            color === "w" && this.chessboard.state.inputWhiteEnabled ||
+            color === "b" && this.chessboard.state.inputBlackEnabled) {
+            e.preventDefault()
+        }
+    }
+
     onPointerMove(e) {
-        let pageX, pageY, clientX, clientY, target
-        if (e.type === "mousemove") {
-            clientX = e.clientX
-            clientY = e.clientY
-            pageX = e.pageX
-            pageY = e.pageY
-            target = e.target
-        } else if (e.type === "touchmove") {
-            clientX = e.touches[0].clientX
-            clientY = e.touches[0].clientY
-            pageX = e.touches[0].pageX
-            pageY = e.touches[0].pageY
-            target = document.elementFromPoint(clientX, clientY)
+        // while pressed only the pressing pointer, else the primary pointer hovers over the squares
+        if (this.pointerId !== null ? e.pointerId !== this.pointerId : !e.isPrimary) {
+            return
         }
         if (this.moveInputState === MOVE_INPUT_STATE.pieceClickedThreshold || this.moveInputState === MOVE_INPUT_STATE.secondClickThreshold) {
-            if (Math.abs(this.startPoint.x - clientX) > DRAG_THRESHOLD || Math.abs(this.startPoint.y - clientY) > DRAG_THRESHOLD) {
+            const dragThreshold = this.chessboard.props.moveInput.dragThreshold
+            if (this.chessboard.props.moveInput.mode !== MOVE_INPUT_MODE.clickOnly &&
+                (Math.abs(this.startPoint.x - e.clientX) > dragThreshold || Math.abs(this.startPoint.y - e.clientY) > dragThreshold)) {
                 if (this.moveInputState === MOVE_INPUT_STATE.secondClickThreshold) {
                     this.setMoveInputState(MOVE_INPUT_STATE.clickDragTo, {
                         square: this.fromSquare,
@@ -331,12 +511,12 @@ export class VisualMoveInput {
                     this.setMoveInputState(MOVE_INPUT_STATE.dragTo, {square: this.fromSquare, piece: this.movedPiece})
                 }
                 if (this.view.chessboard.state.inputEnabled()) {
-                    this.moveDraggablePiece(pageX, pageY)
+                    this.moveDraggablePiece(e.clientX, e.clientY)
                 }
             }
         } else if (this.moveInputState === MOVE_INPUT_STATE.dragTo || this.moveInputState === MOVE_INPUT_STATE.clickDragTo || this.moveInputState === MOVE_INPUT_STATE.clickTo) {
-            if (target && target.getAttribute && target.parentElement === this.view.boardGroup) {
-                const square = target.getAttribute("data-square")
+            const square = this.squareAt(e)
+            if (square) {
                 if (square !== this.fromSquare && square !== this.toSquare) {
                     this.toSquare = square
                     this.movingOverSquareCallback(this.fromSquare, this.toSquare)
@@ -350,58 +530,153 @@ export class VisualMoveInput {
             }
 
             if (this.view.chessboard.state.inputEnabled() && (this.moveInputState === MOVE_INPUT_STATE.dragTo || this.moveInputState === MOVE_INPUT_STATE.clickDragTo)) {
-                this.moveDraggablePiece(pageX, pageY)
+                this.moveDraggablePiece(e.clientX, e.clientY)
             }
         }
     }
 
     onPointerUp(e) {
-        let target
-        if (e.type === "mouseup") {
-            target = e.target
-        } else if (e.type === "touchend") {
-            target = document.elementFromPoint(e.changedTouches[0].clientX, e.changedTouches[0].clientY)
+        if (this.pointerId === null || e.pointerId !== this.pointerId) {
+            return
         }
-        if (target && target.getAttribute) {
-            const square = target.getAttribute("data-square")
-
-            if (square) {
-                if (this.moveInputState === MOVE_INPUT_STATE.dragTo || this.moveInputState === MOVE_INPUT_STATE.clickDragTo) {
-                    if (this.fromSquare === square) {
-                        if (this.moveInputState === MOVE_INPUT_STATE.clickDragTo) {
-                            this.chessboard.state.position.setPiece(this.fromSquare, this.movedPiece)
-                            this.view.setPieceVisibility(this.fromSquare)
-                            this.moveInputCanceledCallback(square, null, MOVE_CANCELED_REASON.draggedBack)
-                            this.setMoveInputState(MOVE_INPUT_STATE.reset)
-                        } else {
-                            this.setMoveInputState(MOVE_INPUT_STATE.clickTo, {square: square})
-                        }
+        this.releasePointer()
+        const square = this.squareAt(e)
+        if (square) {
+            if (this.moveInputState === MOVE_INPUT_STATE.dragTo || this.moveInputState === MOVE_INPUT_STATE.clickDragTo) {
+                if (this.fromSquare === square) {
+                    if (this.moveInputState === MOVE_INPUT_STATE.clickDragTo ||
+                        this.chessboard.props.moveInput.mode === MOVE_INPUT_MODE.dragOnly) {
+                        const draggedPiece = this.takeDraggablePiece()
+                        this.setStartPieceDragged(this.fromSquare, false)
+                        this.moveInputCanceledCallback(square, null, MOVE_CANCELED_REASON.draggedBack)
+                        this.setMoveInputState(MOVE_INPUT_STATE.reset)
+                        this.snapBack(draggedPiece, square, null, MOVE_CANCELED_REASON.draggedBack)
                     } else {
-                        this.setMoveInputState(MOVE_INPUT_STATE.moveDone, {square: square})
+                        this.setMoveInputState(MOVE_INPUT_STATE.clickTo, {square: square})
                     }
-                } else if (this.moveInputState === MOVE_INPUT_STATE.pieceClickedThreshold) {
-                    this.setMoveInputState(MOVE_INPUT_STATE.clickTo, {square: square})
-                } else if (this.moveInputState === MOVE_INPUT_STATE.secondClickThreshold) {
+                } else {
+                    this.setMoveInputState(MOVE_INPUT_STATE.moveDone, {square: square})
+                }
+            } else if (this.moveInputState === MOVE_INPUT_STATE.pieceClickedThreshold) {
+                if (this.chessboard.props.moveInput.mode === MOVE_INPUT_MODE.dragOnly) {
+                    const fromSquare = this.fromSquare
                     this.setMoveInputState(MOVE_INPUT_STATE.reset)
-                    this.moveInputCanceledCallback(square, null, MOVE_CANCELED_REASON.secondClick)
+                    this.moveInputCanceledCallback(fromSquare, null, MOVE_CANCELED_REASON.notDragged)
+                } else {
+                    this.setMoveInputState(MOVE_INPUT_STATE.clickTo, {square: square})
                 }
-            } else {
-                this.view.redrawPieces()
-                const moveStartSquare = this.fromSquare
+            } else if (this.moveInputState === MOVE_INPUT_STATE.secondClickThreshold) {
                 this.setMoveInputState(MOVE_INPUT_STATE.reset)
-                this.moveInputCanceledCallback(moveStartSquare, null, MOVE_CANCELED_REASON.movedOutOfBoard)
+                this.moveInputCanceledCallback(square, null, MOVE_CANCELED_REASON.secondClick)
             }
         } else {
+            this.cancelPointerMove(MOVE_CANCELED_REASON.movedOutOfBoard)
+        }
+    }
+
+    // the browser took over the pointer, like for scrolling, or the device lost it
+    onPointerCancel(e) {
+        if (this.pointerId === null || e.pointerId !== this.pointerId) {
+            return
+        }
+        this.releasePointer()
+        this.cancelPointerMove(MOVE_CANCELED_REASON.pointerCanceled)
+    }
+
+    cancelPointerMove(reason) {
+        const moveStartSquare = this.fromSquare
+        const draggedPiece = this.takeDraggablePiece()
+        this.view.redrawPieces()
+        this.setMoveInputState(MOVE_INPUT_STATE.reset)
+        if (moveStartSquare) {
+            this.moveInputCanceledCallback(moveStartSquare, null, reason)
+            if (draggedPiece) {
+                this.snapBack(draggedPiece, moveStartSquare, null, reason)
+            }
+        } else if (draggedPiece) {
+            Svg.removeElement(draggedPiece.element)
+        }
+    }
+
+    // keyboard input //
+
+    /**
+     * Picks up the piece on the square or drops the picked up piece on it, like a click on the square.
+     * @returns {boolean} false, if the square was not accepted
+     */
+    selectSquare(square) {
+        if (this.moveInputState === MOVE_INPUT_STATE.waitForInputStart) {
+            return this.pickUpPiece(square)
+        } else if (this.moveInputState !== MOVE_INPUT_STATE.clickTo) {
+            return false // a pointer input is running
+        }
+        if (square === this.fromSquare) {
+            this.setMoveInputState(MOVE_INPUT_STATE.reset)
+            this.moveInputCanceledCallback(square, null, MOVE_CANCELED_REASON.secondClick)
+            return true
+        }
+        const pieceName = this.view.getPiece(square)
+        const startPieceName = this.view.getPiece(this.fromSquare)
+        if (pieceName && startPieceName && pieceName.substring(0, 1) === startPieceName.substring(0, 1) &&
+            !this.view.getDisplayPosition().getCastlingMove(this.fromSquare, square)) {
+            this.moveInputCanceledCallback(this.fromSquare, square, MOVE_CANCELED_REASON.clickedAnotherPiece)
+            this.setMoveInputState(MOVE_INPUT_STATE.reset)
+            return this.pickUpPiece(square)
+        }
+        this.setMoveInputState(MOVE_INPUT_STATE.moveDone, {square: square})
+        return true
+    }
+
+    // the keyboard cursor moved over a square, while a piece is picked up
+    moveOverSquare(square) {
+        if (this.moveInputState === MOVE_INPUT_STATE.clickTo) {
+            const squareTo = square === this.fromSquare ? null : square
+            if (squareTo !== this.toSquare) {
+                this.toSquare = squareTo
+                this.movingOverSquareCallback(this.fromSquare, this.toSquare)
+            }
+        }
+    }
+
+    cancelMoveInput(reason = MOVE_CANCELED_REASON.escapePressed) {
+        if (this.moveInputState === MOVE_INPUT_STATE.clickTo) {
+            const fromSquare = this.fromSquare
             this.view.redrawPieces()
             this.setMoveInputState(MOVE_INPUT_STATE.reset)
+            this.moveInputCanceledCallback(fromSquare, null, reason)
+        }
+    }
+
+    pickUpPiece(square) {
+        const pieceName = this.view.getPiece(square)
+        const color = pieceName ? pieceName.substring(0, 1) : null
+        if (!(this.chessboard.state.inputWhiteEnabled && color === "w" ||
+            this.chessboard.state.inputBlackEnabled && color === "b") || !this.moveInputStartedCallback(square)) {
+            return false
         }
+        this.fromSquare = square
+        this.toSquare = null
+        this.movedPiece = pieceName
+        this.setMoveInputState(MOVE_INPUT_STATE.clickTo, {square: square})
+        // also let the pointer continue the move
+        this.addPointerListeners()
+        return true
+    }
+
+    getPickedUpSquare() {
+        return this.moveInputState === MOVE_INPUT_STATE.clickTo ? this.fromSquare : null
     }
 
     onContextMenu(e) { // while moving
         e.preventDefault()
-        this.view.redrawPieces()
-        this.setMoveInputState(MOVE_INPUT_STATE.reset)
-        this.moveInputCanceledCallback(this.fromSquare, null, MOVE_CANCELED_REASON.secondaryClick)
+        if (this.moveInputState === MOVE_INPUT_STATE.moveDone) {
+            return // the move is validated
+        }
+        this.cancelPointerMove(MOVE_CANCELED_REASON.secondaryClick)
+    }
+
+    isMoving() {
+        return this.moveInputState !== MOVE_INPUT_STATE.waitForInputStart
     }
 
     isDragging() {
@@ -0,0 +1,82 @@
+/**
+ * Author and copyright: Stefan Haack (https://shaack.com)
+ * Repository: https://github.com/shaack/cm-chessboard
+ * License: MIT, see file 'LICENSE'
+ */
+
+import {describe, it, assert} from "../node_modules/teevi/src/teevi.js"
+import {Chessboard} from "../src/Chessboard.js"
+import {ARROW_TYPE, Arrows} from "../src/extensions/arrows/Arrows.js"
+
+describe("TestArrows", () => {
+
+    it("should draw arrows with options", () => {
+        const chessboard = new Chessboard(document.getElementById("TestArrows"), {
+            assetsUrl: "../assets/",
+            extensions: [{class: Arrows}]
+        })
+        chessboard.addArrow(ARROW_TYPE.default, "e2", "e4")
+        chessboard.addArrow(ARROW_TYPE.default, "g1", "f3", {
+            color: "#00aa00", opacity: 0.8, width: 8, dash: [1, 2], label: "+1.2", position: "below"
+        })
+        assert.equal(chessboard.getArrows(undefined, "g1")[0].options.label, "+1.2")
+        const view = chessboard.view
+        const above = view.markersTopLayer.querySelector("[data-arrow='e2e4'] .arrow-line")
+        const below = view.markersLayer.querySelector("[data-arrow='g1f3'] .arrow-line")
+        assert.true(!!above)
+        assert.true(!!below)
+        assert.equal(above.getAttribute("style"), null)
+        assert.equal(below.getAttribute("style"), "stroke: #00aa00; opacity: 0.8")
+        const width = parseFloat(below.getAttribute("stroke-width"))
+        assert.equal(width, parseFloat(above.getAttribute("stroke-width")) * 2)
+        assert.equal(below.getAttribute("stroke-dasharray"), width + " " + width * 2)
+        assert.equal(view.markersLayer.querySelector("[data-arrow='g1f3'] .arrow-label text").textContent, "+1.2")
+        chessboard.destroy()
+    })
+
+    it("should draw knight, curved and animated arrows with unique ids", () => {
+        const chessboard = new Chessboard(document.getElementById("TestArrows"), {
+            assetsUrl: "../assets/",
+            extensions: [{class: Arrows}]
+        })
+        chessboard.addArrow(ARROW_TYPE.default, "g1", "f3", {shape: "knight"})
+        chessboard.addArrow(ARROW_TYPE.default, "g1", "f3", {shape: "curved", animated: true})
+        const layer = chessboard.view.markersTopLayer
+        const paths = layer.querySelectorAll("[data-arrow='g1f3'] path.arrow-line")
+        assert.equal(paths.length, 2)
+        const numbers = paths[0].getAttribute("d").match(/[\d.]+/g).map(parseFloat)
+        assert.equal(numbers[2], numbers[0]) // the long leg goes up the g-file first
+        assert.equal(numbers[5], numbers[3])
+        assert.true(paths[1].getAttribute("d").indexOf("Q") !== -1)
+        assert.true(paths[1].getAttribute("style").indexOf("stroke-dashoffset") !== -1)
+        const ids = Array.from(layer.querySelectorAll("marker")).map((marker) => marker.id)
+        assert.notEqual(ids[0], ids[1])
+        assert.true(ids[0].indexOf(chessboard.id) !== -1)
+        chessboard.view.redrawBoard()
+        assert.equal(layer.querySelectorAll(".arrow-animated").length, 0)
+        chessboard.destroy()
+    })
+
+    it("should dispatch the pointer events of arrows and show their titles", () => {
+        const events = []
+        const chessboard = new Chessboard(document.getElementById("TestArrows"), {
+            assetsUrl: "../assets/",
+            extensions: [{class: Arrows, props: {eventHandler: (event) => events.push(event)}}]
+        })
+        chessboard.addArrow(ARROW_TYPE.default, "e2", "e4", {title: "1. e4, +0.3"})
+        const group = chessboard.view.markersTopLayer.querySelector("[data-arrow='e2e4']")
+        assert.true(group.classList.contains("interactive"))
+        assert.equal(group.querySelector("title").textContent, "1. e4, +0.3")
+        group.dispatchEvent(new PointerEvent("pointerenter"))
+        assert.true(group.classList.contains("hover"))
+        group.querySelector(".arrow-line").dispatchEvent(new MouseEvent("click", {bubbles: true}))
+        group.dispatchEvent(new PointerEvent("pointerleave"))
+        assert.false(group.classList.contains("hover"))
+        assert.equal(events.map((event) => event.type).join(), "pointerEnter,click,pointerLeave")
+        assert.equal(events[1].arrow.to, "e4")
+        chessboard.addArrow(ARROW_TYPE.default, "g1", "f3")
+        assert.false(chessboard.view.markersTopLayer.querySelector("[data-arrow='g1f3']").classList.contains("interactive"))
+        chessboard.destroy()
+    })
+
+})
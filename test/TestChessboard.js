@@ -34,7 +34,7 @@ describe("TestChessboard", () => {
             assetsUrl: "../assets/",
             position: FEN.start
         })
-        assert.equal("" + chessboard.getPosition(), "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR")
+        assert.equal("" + chessboard.getPosition(), FEN.start)
         chessboard.destroy()
     })
 
@@ -42,7 +42,7 @@ describe("TestChessboard", () => {
         const chessboard = new Chessboard(document.getElementById("TestPosition"),
             {assetsUrl: "../assets/"})
         chessboard.setPosition("rn2k1r1/ppp1pp1p/3p2p1/5bn1/P7/2N2B2/1PPPPP2/2BNK1RR w Gkq - 4 11", false).then(() => {
-            assert.equal("" + chessboard.getPosition(), "rn2k1r1/ppp1pp1p/3p2p1/5bn1/P7/2N2B2/1PPPPP2/2BNK1RR")
+            assert.equal("" + chessboard.getPosition(), "rn2k1r1/ppp1pp1p/3p2p1/5bn1/P7/2N2B2/1PPPPP2/2BNK1RR w Gkq - 4 11")
             chessboard.destroy()
         })
     })
@@ -69,4 +69,18 @@ describe("TestChessboard", () => {
         chessboard.destroy()
     })
 
+    it("should update the position fields by makeMove", async () => {
+        const chessboard = new Chessboard(document.getElementById("TestPosition"), {
+            assetsUrl: "../assets/",
+            position: "r3k2r/pppppppp/8/8/8/8/PPPPPPPP/R3K2R w KQkq - 3 10"
+        })
+        await chessboard.makeMove({from: "e1", to: "g1", castlingRook: "h1"})
+        assert.equal(chessboard.getPosition(), "r3k2r/pppppppp/8/8/8/8/PPPPPPPP/R4RK1 b kq - 4 10")
+        await chessboard.makeMove({from: "d7", to: "d5"})
+        assert.equal(chessboard.getPosition(), "r3k2r/ppp1pppp/8/3p4/8/8/PPPPPPPP/R4RK1 w kq d6 0 11")
+        await chessboard.makeMove({from: "a2", to: "a8"}) // not legal, but the move is made as described
+        assert.equal(chessboard.getPosition(), "P3k2r/ppp1pppp/8/3p4/8/8/1PPPPPPP/R4RK1 b k - 0 11")
+        chessboard.destroy()
+    })
+
 })
@@ -0,0 +1,52 @@
+/**
+ * Author and copyright: Stefan Haack (https://shaack.com)
+ * Repository: https://github.com/shaack/cm-chessboard
+ * License: MIT, see file 'LICENSE'
+ */
+
+import {describe, it, assert} from "../node_modules/teevi/src/teevi.js"
+import {Chessboard, FEN} from "../src/Chessboard.js"
+import {Markers, MARKER_TYPE} from "../src/extensions/markers/Markers.js"
+import {Arrows, ARROW_TYPE} from "../src/extensions/arrows/Arrows.js"
+import {DRAWING_INPUT_EVENT_TYPE, DrawingInput} from "../src/extensions/drawing-input/DrawingInput.js"
+
+function pointer(chessboard, type, square, button, modifiers = {}) {
+    const element = chessboard.view.boardGroup.querySelector(`[data-square='${square}']`)
+    element.dispatchEvent(new PointerEvent(type, Object.assign({button: button, bubbles: true, isPrimary: true}, modifiers)))
+}
+
+function draw(chessboard, from, to, modifiers = {}) {
+    pointer(chessboard, "pointerdown", from, 2, modifiers)
+    pointer(chessboard, "pointermove", to, 2, modifiers)
+    pointer(chessboard, "pointerup", to, 2, modifiers)
+}
+
+describe("TestDrawingInput", () => {
+
+    it("should draw and remove circles and arrows with the right mouse button", () => {
+        const events = []
+        const chessboard = new Chessboard(document.getElementById("TestDrawingInput"), {
+            assetsUrl: "../assets/",
+            position: FEN.start,
+            extensions: [{class: Markers, props: {autoMarkers: null}}, {class: Arrows},
+                {class: DrawingInput, props: {eventHandler: (event) => events.push(event)}}]
+        })
+        draw(chessboard, "e2", "e4")
+        assert.equal(chessboard.getArrows(ARROW_TYPE.success, "e2", "e4").length, 1)
+        assert.equal(events[0].type, DRAWING_INPUT_EVENT_TYPE.arrowAdded)
+        assert.equal(events[0].color, "G")
+        draw(chessboard, "d5", "d5", {shiftKey: true})
+        assert.equal(chessboard.getMarkers(MARKER_TYPE.circleDanger, "d5").length, 1)
+        draw(chessboard, "d5", "d5", {altKey: true})
+        assert.equal(chessboard.getMarkers(MARKER_TYPE.circleDanger).length, 0)
+        assert.equal(chessboard.getMarkers(MARKER_TYPE.circlePrimary, "d5").length, 1)
+        draw(chessboard, "e2", "e4")
+        assert.equal(chessboard.getArrows().length, 0)
+        assert.equal(events[events.length - 1].type, DRAWING_INPUT_EVENT_TYPE.arrowRemoved)
+        pointer(chessboard, "pointerdown", "a4", 0)
+        assert.equal(chessboard.getMarkers().length, 0)
+        assert.equal(events[events.length - 1].type, DRAWING_INPUT_EVENT_TYPE.cleared)
+        chessboard.destroy()
+    })
+
+})
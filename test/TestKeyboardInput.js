@@ -0,0 +1,90 @@
+/**
+ * Author and copyright: Stefan Haack (https://shaack.com)
+ * Repository: https://github.com/shaack/cm-chessboard
+ * License: MIT, see file 'LICENSE'
+ */
+
+import {describe, it, assert} from "../node_modules/teevi/src/teevi.js"
+import {Chessboard, COLOR, FEN, INPUT_EVENT_TYPE} from "../src/Chessboard.js"
+import {KeyboardInput} from "../src/extensions/keyboard-input/KeyboardInput.js"
+
+function keys(chessboard, ...keys) {
+    for (const key of keys) {
+        chessboard.view.svg.dispatchEvent(new KeyboardEvent("keydown", {key: key, bubbles: true, cancelable: true}))
+    }
+}
+
+describe("TestKeyboardInput", () => {
+
+    it("should move the cursor with the arrow keys, respecting the orientation", async () => {
+        const chessboard = new Chessboard(document.getElementById("TestKeyboardInput"), {
+            assetsUrl: "../assets/",
+            position: FEN.start,
+            extensions: [{class: KeyboardInput}]
+        })
+        assert.equal(chessboard.view.svg.getAttribute("tabindex"), "0")
+        chessboard.view.svg.focus()
+        assert.equal(chessboard.getKeyboardCursor(), "a1")
+        keys(chessboard, "ArrowUp", "ArrowRight", "ArrowRight", "ArrowLeft", "ArrowDown", "ArrowDown")
+        assert.equal(chessboard.getKeyboardCursor(), "b1")
+        assert.equal(chessboard.view.interactiveTopLayer.querySelector(".keyboard-cursor").getAttribute("data-cursor"), "b1")
+        await chessboard.setOrientation(COLOR.black)
+        keys(chessboard, "ArrowUp", "ArrowRight")
+        assert.equal(chessboard.getKeyboardCursor(), "a1")
+        chessboard.destroy()
+    })
+
+    it("should make moves with Enter, cancel with Escape and make typed moves", async () => {
+        const events = []
+        const chessboard = new Chessboard(document.getElementById("TestKeyboardInput"), {
+            assetsUrl: "../assets/",
+            position: FEN.start,
+            extensions: [{class: KeyboardInput}]
+        })
+        chessboard.enableMoveInput((event) => {
+            events.push(event.type)
+            return true
+        })
+        chessboard.view.svg.focus()
+        keys(chessboard, "e", "2", "Enter", "ArrowUp", "Escape")
+        assert.equal(events.join(), [INPUT_EVENT_TYPE.moveInputStarted, INPUT_EVENT_TYPE.movingOverSquare,
+            INPUT_EVENT_TYPE.moveInputCanceled].join())
+        assert.equal(chessboard.view.visualMoveInput.isMoving(), false)
+        events.length = 0
+        keys(chessboard, "ArrowDown", "Enter", "ArrowUp", "ArrowUp", " ")
+        assert.equal(chessboard.getKeyboardCursor(), "e4")
+        assert.equal(events.join(), [INPUT_EVENT_TYPE.moveInputStarted, INPUT_EVENT_TYPE.movingOverSquare,
+            INPUT_EVENT_TYPE.movingOverSquare, INPUT_EVENT_TYPE.validateMoveInput].join())
+        await new Promise((resolve) => setTimeout(resolve, 500))
+        assert.equal(chessboard.getPiece("e4"), "wp")
+        assert.false(!!chessboard.getPiece("e2"))
+        keys(chessboard, "e", "7", "e", "5")
+        await new Promise((resolve) => setTimeout(resolve, 500))
+        assert.equal(chessboard.getPiece("e5"), "bp")
+        assert.equal(chessboard.getKeyboardCursor(), "e5")
+        chessboard.destroy()
+    })
+
+    it("should not accept squares beyond the board and announce invalid input", () => {
+        const chessboard = new Chessboard(document.getElementById("TestKeyboardInput"), {
+            assetsUrl: "../assets/",
+            position: FEN.start,
+            extensions: [{class: KeyboardInput}]
+        })
+        chessboard.enableMoveInput(() => true)
+        const liveRegion = document.getElementById("TestKeyboardInput").querySelector("[aria-live]")
+        chessboard.view.svg.focus()
+        keys(chessboard, "e", "1", "0")
+        assert.equal(chessboard.getKeyboardCursor(), "e1")
+        assert.equal(liveRegion.textContent, "Invalid input: e10")
+        keys(chessboard, "j", "e", "4")
+        assert.equal(chessboard.getKeyboardCursor(), "e4")
+        assert.equal(liveRegion.textContent, "Invalid input: j")
+        keys(chessboard, "Escape", "e", "3", "e", "4")
+        assert.equal(liveRegion.textContent, "Invalid input: e3e4")
+        assert.false(chessboard.view.visualMoveInput.isMoving())
+        chessboard.destroy()
+        assert.equal(document.getElementById("TestKeyboardInput").querySelector("[aria-live]"), null)
+    })
+
+})
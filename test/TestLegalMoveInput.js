@@ -0,0 +1,86 @@
+/**
+ * Author and copyright: Stefan Haack (https://shaack.com)
+ * Repository: https://github.com/shaack/cm-chessboard
+ * License: MIT, see file 'LICENSE'
+ */
+
+import {describe, it, assert} from "../node_modules/teevi/src/teevi.js"
+import {Chessboard, FEN, INPUT_EVENT_TYPE} from "../src/Chessboard.js"
+import {LEGAL_MOVE_INPUT_EVENT_TYPE, LegalMoveInput} from "../src/extensions/legal-move-input/LegalMoveInput.js"
+
+function click(chessboard, square) {
+    const element = chessboard.view.boardGroup.querySelector(`[data-square='${square}']`)
+    for (const type of ["pointerdown", "pointerup"]) {
+        element.dispatchEvent(new PointerEvent(type, {
+            bubbles: true, cancelable: true, button: 0, pointerId: 1, isPrimary: true
+        }))
+    }
+}
+
+function createChessboard(position, events) {
+    const chessboard = new Chessboard(document.getElementById("TestLegalMoveInput"), {
+        assetsUrl: "../assets/",
+        position: position,
+        extensions: [{class: LegalMoveInput, props: {promotionDialog: false}}]
+    })
+    chessboard.enableLegalMoveInput((event) => {
+        events.push(event)
+    })
+    return chessboard
+}
+
+describe("TestLegalMoveInput", () => {
+
+    it("should reject an illegal drop", async () => {
+        const events = []
+        const chessboard = createChessboard(FEN.start, events)
+        click(chessboard, "e2")
+        click(chessboard, "e5")
+        await new Promise((resolve) => setTimeout(resolve, 500))
+        assert.equal(chessboard.getPosition(), FEN.start)
+        assert.equal(events.filter((event) => event.type === INPUT_EVENT_TYPE.validateMoveInput).length, 0)
+        assert.equal(events.filter((event) => event.type === LEGAL_MOVE_INPUT_EVENT_TYPE.moveDone).length, 0)
+        chessboard.destroy()
+    })
+
+    it("should castle by moving the king onto the rook", async () => {
+        const events = []
+        const chessboard = createChessboard("r3k2r/8/8/8/8/8/8/R3K2R w KQkq - 0 1", events)
+        click(chessboard, "e1")
+        click(chessboard, "h1")
+        await new Promise((resolve) => setTimeout(resolve, 500))
+        assert.equal(chessboard.getPosition(), "r3k2r/8/8/8/8/8/8/R4RK1 b kq - 1 1")
+        const moveDone = events.find((event) => event.type === LEGAL_MOVE_INPUT_EVENT_TYPE.moveDone)
+        assert.equal(moveDone.move.castlingRook, "h1")
+        chessboard.destroy()
+    })
+
+    it("should promote a pawn", async () => {
+        const events = []
+        const chessboard = createChessboard("4k3/P7/8/8/8/8/8/4K3 w - - 0 1", events)
+        click(chessboard, "a7")
+        click(chessboard, "a8")
+        await new Promise((resolve) => setTimeout(resolve, 500))
+        assert.equal(chessboard.getPosition(), "Q3k3/8/8/8/8/8/8/4K3 b - - 0 1")
+        const moveDone = events.find((event) => event.type === LEGAL_MOVE_INPUT_EVENT_TYPE.moveDone)
+        assert.equal(moveDone.move.promotion, "q")
+        assert.true(moveDone.check)
+        assert.false(moveDone.checkmate)
+        chessboard.destroy()
+    })
+
+    it("should report a checkmate in the moveDone event", async () => {
+        const events = []
+        const chessboard = createChessboard("6k1/5ppp/8/8/8/8/8/R5K1 w - - 0 1", events)
+        click(chessboard, "a1")
+        click(chessboard, "a8")
+        await new Promise((resolve) => setTimeout(resolve, 500))
+        const moveDone = events.find((event) => event.type === LEGAL_MOVE_INPUT_EVENT_TYPE.moveDone)
+        assert.equal(moveDone.position.getFen(), "R5k1/5ppp/8/8/8/8/8/6K1 b - - 1 1")
+        assert.true(moveDone.check)
+        assert.true(moveDone.checkmate)
+        assert.false(moveDone.stalemate)
+        chessboard.destroy()
+    })
+
+})
@@ -5,8 +5,9 @@
  */
 
 import {describe, it, assert} from "../node_modules/teevi/src/teevi.js"
-import {Chessboard} from "../src/Chessboard.js"
+import {Chessboard, FEN} from "../src/Chessboard.js"
 import {MARKER_TYPE, Markers} from "../src/extensions/markers/Markers.js"
+import {Svg} from "../src/lib/Svg.js"
 
 describe("TestMarkers", () => {
 
@@ -39,4 +40,146 @@ describe("TestMarkers", () => {
         chessboard.destroy()
     })
 
+    it("should draw text markers, also after a redraw", () => {
+        const chessboard = new Chessboard(document.getElementById("TestMarkers"), {
+            assetsUrl: "../assets/",
+            extensions: [{class: Markers}]
+        })
+        chessboard.addMarker(MARKER_TYPE.text, "e4", {text: "1"})
+        chessboard.addMarker(MARKER_TYPE.text, "d5", {text: "+0.3", corner: "topRight", fontSize: 10, color: "red"})
+        const texts = chessboard.view.markersTopLayer.querySelectorAll("text")
+        assert.equal(texts.length, 2)
+        assert.equal(texts[0].textContent, "1")
+        assert.equal(texts[0].getAttribute("text-anchor"), "middle")
+        assert.equal(texts[1].getAttribute("text-anchor"), "end")
+        assert.equal(texts[1].getAttribute("font-size"), "10")
+        assert.equal(texts[1].getAttribute("style"), "fill: red")
+        assert.equal(chessboard.getMarkers(MARKER_TYPE.text, "d5")[0].options.text, "+0.3")
+        chessboard.view.redrawBoard()
+        assert.equal(chessboard.view.markersTopLayer.querySelectorAll("text").length, 2)
+        chessboard.destroy()
+    })
+
+    it("should draw marker types of inline SVG and callbacks, with the colors of the marker", () => {
+        const chessboard = new Chessboard(document.getElementById("TestMarkers"), {
+            assetsUrl: "../assets/",
+            extensions: [{class: Markers}]
+        })
+        const star = {class: "marker-star", svg: '<polygon points="20,4 24,16 36,16 26,24 30,36 20,28 10,36 14,24 4,16 16,16"/>'}
+        const cross = {
+            class: "marker-cross", draw: (group) => {
+                Svg.addElement(group, "path", {d: "M 8 8 L 32 32 M 32 8 L 8 32"})
+            }
+        }
+        chessboard.addMarker(star, "e4", {fill: "#ff00ff", opacity: 0.8})
+        chessboard.addMarker(cross, "d5", {stroke: "blue"})
+        chessboard.addMarker(MARKER_TYPE.circle, "c6", {stroke: "#00aa00"})
+        const layer = chessboard.view.markersLayer
+        const starShape = layer.querySelector(".marker-star")
+        assert.equal(starShape.querySelector("polygon").namespaceURI, "http://www.w3.org/2000/svg")
+        assert.equal(starShape.getAttribute("style"), "fill: #ff00ff; opacity: 0.8")
+        assert.equal(layer.querySelector(".marker-cross path").getAttribute("d"), "M 8 8 L 32 32 M 32 8 L 8 32")
+        assert.equal(layer.querySelector(".marker-cross").getAttribute("style"), "stroke: blue")
+        assert.equal(layer.querySelector("use.marker-circle").getAttribute("style"), "stroke: #00aa00")
+        chessboard.view.redrawBoard()
+        assert.equal(layer.querySelectorAll(".marker-star polygon").length, 1)
+        chessboard.destroy()
+    })
+
+    it("should register marker types", () => {
+        const chessboard = new Chessboard(document.getElementById("TestMarkers"), {
+            assetsUrl: "../assets/",
+            extensions: [{class: Markers}]
+        })
+        const star = Markers.registerMarkerType("star", {class: "marker-star", svg: '<circle cx="20" cy="20" r="8"/>'})
+        assert.equal(MARKER_TYPE.star, star)
+        chessboard.addMarker(MARKER_TYPE.star, "e4")
+        assert.equal(chessboard.getMarkers(MARKER_TYPE.star).length, 1)
+        let error = null
+        try {
+            Markers.registerMarkerType("star", {class: "marker-star-2", slice: "markerCircle"})
+        } catch (e) {
+            error = e
+        }
+        assert.true(error !== null)
+        error = null
+        try {
+            Markers.registerMarkerType("shapeless", {class: "marker-shapeless"})
+        } catch (e) {
+            error = e
+        }
+        assert.true(error !== null)
+        assert.equal(MARKER_TYPE.shapeless, undefined)
+        chessboard.destroy()
+    })
+
+    it("should not execute scripts in the markup of a marker type", () => {
+        const chessboard = new Chessboard(document.getElementById("TestMarkers"), {
+            assetsUrl: "../assets/",
+            extensions: [{class: Markers}]
+        })
+        window.markerScriptExecuted = false
+        const payload = {
+            class: "marker-payload",
+            svg: '<circle cx="20" cy="20" r="16" onload="window.markerScriptExecuted = true"/>' +
+                '<script>window.markerScriptExecuted = true</script>'
+        }
+        chessboard.addMarker(payload, "e4")
+        const shape = chessboard.view.markersLayer.querySelector(".marker-payload")
+        assert.equal(shape.querySelectorAll("circle").length, 1)
+        assert.equal(shape.querySelector("circle").getAttribute("onload"), null)
+        assert.equal(shape.querySelector("script"), null)
+        assert.false(window.markerScriptExecuted)
+        delete window.markerScriptExecuted
+        chessboard.destroy()
+    })
+
+    it("should dispatch the pointer events of the squares of markers and show their titles", () => {
+        const events = []
+        const chessboard = new Chessboard(document.getElementById("TestMarkers"), {
+            assetsUrl: "../assets/",
+            extensions: [{class: Markers, props: {eventHandler: (event) => events.push(event)}}]
+        })
+        chessboard.addMarker(MARKER_TYPE.circle, "e4", {title: "the center"})
+        const squareE4 = chessboard.view.boardGroup.querySelector("[data-square='e4']")
+        const squareD4 = chessboard.view.boardGroup.querySelector("[data-square='d4']")
+        assert.equal(squareE4.querySelector("title").textContent, "the center")
+        squareE4.dispatchEvent(new PointerEvent("pointerover", {bubbles: true}))
+        const markerGroup = chessboard.view.markersLayer.querySelector("[data-square='e4']")
+        assert.true(markerGroup.classList.contains("hover"))
+        squareE4.dispatchEvent(new MouseEvent("click", {bubbles: true}))
+        squareE4.dispatchEvent(new PointerEvent("pointerout", {bubbles: true, relatedTarget: squareD4}))
+        squareD4.dispatchEvent(new PointerEvent("pointerover", {bubbles: true}))
+        squareD4.dispatchEvent(new MouseEvent("click", {bubbles: true}))
+        assert.equal(events.map((event) => event.type).join(), "pointerEnter,click,pointerLeave")
+        assert.equal(events[1].marker.square, "e4")
+        assert.false(chessboard.view.markersLayer.querySelector("[data-square='e4']").classList.contains("hover"))
+        chessboard.view.redrawBoard()
+        assert.equal(chessboard.view.boardGroup.querySelector("[data-square='e4'] title").textContent, "the center")
+        chessboard.removeMarkers()
+        assert.equal(chessboard.view.boardGroup.querySelector("[data-square='e4'] title"), null)
+        chessboard.destroy()
+    })
+
+    it("should dispatch only the events of interactive markers, not of the move input", () => {
+        const events = []
+        const chessboard = new Chessboard(document.getElementById("TestMarkers"), {
+            assetsUrl: "../assets/",
+            position: FEN.start,
+            extensions: [{class: Markers, props: {eventHandler: (event) => events.push(event)}}]
+        })
+        chessboard.enableMoveInput(() => true)
+        chessboard.view.visualMoveInput.moveInputStartedCallback("e2")
+        assert.equal(chessboard.getMarkers(MARKER_TYPE.frame, "e2").length, 1)
+        chessboard.addMarker(MARKER_TYPE.circle, "d4", {interactive: true})
+        const squareE2 = chessboard.view.boardGroup.querySelector("[data-square='e2']")
+        const squareD4 = chessboard.view.boardGroup.querySelector("[data-square='d4']")
+        squareE2.dispatchEvent(new MouseEvent("click", {bubbles: true}))
+        assert.false(chessboard.view.markersLayer.querySelector("[data-square='e2']").classList.contains("interactive"))
+        squareD4.dispatchEvent(new MouseEvent("click", {bubbles: true}))
+        assert.equal(events.length, 1)
+        assert.equal(events[0].marker.square, "d4")
+        chessboard.destroy()
+    })
+
 })
@@ -0,0 +1,124 @@
+/**
+ * Author and copyright: Stefan Haack (https://shaack.com)
+ * Repository: https://github.com/shaack/cm-chessboard
+ * License: MIT, see file 'LICENSE'
+ */
+
+import {describe, it, assert} from "../node_modules/teevi/src/teevi.js"
+import {Chessboard, FEN} from "../src/Chessboard.js"
+import {INPUT_IN_PAST, MoveHistory} from "../src/extensions/move-history/MoveHistory.js"
+
+function nextTick() {
+    return new Promise((resolve) => setTimeout(resolve))
+}
+
+describe("TestMoveHistory", () => {
+
+    it("should record the moves made by the API and navigate", async () => {
+        const chessboard = new Chessboard(document.getElementById("TestMoveHistory"), {
+            assetsUrl: "../assets/",
+            position: FEN.start,
+            extensions: [{class: MoveHistory}]
+        })
+        await chessboard.makeMove({from: "e2", to: "e4"})
+        await nextTick()
+        await chessboard.setPosition("rnbqkbnr/pppp1ppp/8/4p3/4P3/8/PPPP1PPP/RNBQKBNR w KQkq e6 0 2")
+        await nextTick()
+        const root = chessboard.getHistory()
+        assert.equal(root.children[0].san, "e4")
+        assert.equal(root.children[0].children[0].san, "e5")
+        assert.equal(chessboard.getHistoryCurrent().ply, 2)
+        await chessboard.historyBack()
+        assert.equal(chessboard.getHistoryCurrent().san, "e4")
+        assert.equal(chessboard.getPiece("e5"), null)
+        await chessboard.historyStart()
+        assert.equal(chessboard.getPiece("e2"), "wp")
+        await chessboard.historyEnd()
+        await nextTick()
+        assert.equal(chessboard.getPiece("e5"), "bp")
+        assert.equal(chessboard.getHistoryCurrent().ply, 2)
+        const moves = document.querySelectorAll("#TestMoveHistory + .cm-chessboard-move-history .move")
+        assert.equal(moves.length, 2)
+        assert.true(moves[1].classList.contains("current"))
+        chessboard.destroy()
+        assert.equal(document.querySelectorAll(".cm-chessboard-move-history").length, 0)
+    })
+
+    it("should start a new variation from the past", async () => {
+        const chessboard = new Chessboard(document.getElementById("TestMoveHistory"), {
+            assetsUrl: "../assets/",
+            position: FEN.start,
+            extensions: [{class: MoveHistory, props: {inputInPast: INPUT_IN_PAST.newVariation}}]
+        })
+        await chessboard.makeMove({from: "e2", to: "e4"})
+        await nextTick()
+        await chessboard.historyBack()
+        await nextTick()
+        await chessboard.makeMove({from: "d2", to: "d4"})
+        await nextTick()
+        const root = chessboard.getHistory()
+        assert.equal(root.children.length, 2)
+        assert.equal(root.children[1].san, "d4")
+        assert.equal(chessboard.getHistoryCurrent(), root.children[1])
+        assert.equal(document.querySelectorAll(".cm-chessboard-move-history .variation").length, 1)
+        chessboard.destroy()
+    })
+
+    it("should disable the move input in the past", async () => {
+        const chessboard = new Chessboard(document.getElementById("TestMoveHistory"), {
+            assetsUrl: "../assets/",
+            position: FEN.start,
+            extensions: [{class: MoveHistory}]
+        })
+        chessboard.enableMoveInput(() => true)
+        await chessboard.makeMove({from: "g1", to: "f3"})
+        await nextTick()
+        await chessboard.historyBack()
+        assert.false(chessboard.isMoveInputEnabled())
+        await chessboard.historyForward()
+        assert.true(chessboard.isMoveInputEnabled())
+        chessboard.destroy()
+    })
+
+    it("should find castling, en passant and promotion by the changed squares", async () => {
+        const chessboard = new Chessboard(document.getElementById("TestMoveHistory"), {
+            assetsUrl: "../assets/",
+            position: "4k3/1P1p4/8/4P3/8/8/8/4K2R b K - 0 1",
+            extensions: [{class: MoveHistory}]
+        })
+        await chessboard.setPosition("4k3/1P6/8/3pP3/8/8/8/4K2R w K d6 0 2")
+        await nextTick()
+        await chessboard.setPosition("4k3/1P6/3P4/8/8/8/8/4K2R b K - 0 2")
+        await nextTick()
+        await chessboard.setPosition("8/1P3k2/3P4/8/8/8/8/4K2R w K - 1 3")
+        await nextTick()
+        await chessboard.setPosition("8/1P3k2/3P4/8/8/8/8/5RK1 b - - 2 3")
+        await nextTick()
+        await chessboard.setPosition("8/1P6/3Pk3/8/8/8/8/5RK1 w - - 3 4")
+        await nextTick()
+        await chessboard.setPosition("1N6/8/3Pk3/8/8/8/8/5RK1 b - - 0 4")
+        await nextTick()
+        const sans = []
+        for (let node = chessboard.getHistory().children[0]; node; node = node.children[0]) {
+            sans.push(node.san)
+        }
+        assert.equal(sans.join(" "), "d5 exd6 Kf7 O-O+ Ke6 b8=N")
+        chessboard.destroy()
+    })
+
+    it("should reset the history on a new position", async () => {
+        const chessboard = new Chessboard(document.getElementById("TestMoveHistory"), {
+            assetsUrl: "../assets/",
+            position: FEN.start,
+            extensions: [{class: MoveHistory}]
+        })
+        await chessboard.makeMove({from: "e2", to: "e4"})
+        await nextTick()
+        await chessboard.setPosition("4k3/8/8/8/8/8/8/4K3 w - - 0 1")
+        await nextTick()
+        assert.equal(chessboard.getHistory().children.length, 0)
+        assert.equal(chessboard.getHistory().fen, "4k3/8/8/8/8/8/8/4K3 w - - 0 1")
+        chessboard.destroy()
+    })
+
+})
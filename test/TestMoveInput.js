@@ -0,0 +1,252 @@
+/**
+ * Author and copyright: Stefan Haack (https://shaack.com)
+ * Repository: https://github.com/shaack/cm-chessboard
+ * License: MIT, see file 'LICENSE'
+ */
+
+import {describe, it, assert} from "../node_modules/teevi/src/teevi.js"
+import {Chessboard, FEN, INPUT_EVENT_TYPE, MOVE_INPUT_MODE} from "../src/Chessboard.js"
+import {Extension, EXTENSION_POINT} from "../src/model/Extension.js"
+
+function pointer(chessboard, type, square, init = {}) {
+    const element = chessboard.view.boardGroup.querySelector(`[data-square='${square}']`)
+    element.dispatchEvent(new PointerEvent(type, Object.assign({
+        bubbles: true, cancelable: true, button: 0, pointerId: 1, isPrimary: true
+    }, init)))
+}
+
+class SnapBackRecorder extends Extension {
+    constructor(chessboard) {
+        super(chessboard)
+        chessboard.snapBacks = []
+        this.registerExtensionPoint(EXTENSION_POINT.snapBack, (event) => {
+            chessboard.snapBacks.push(event)
+        })
+    }
+}
+
+function createChessboard(events, moveInput = {}) {
+    const chessboard = new Chessboard(document.getElementById("TestMoveInput"), {
+        assetsUrl: "../assets/",
+        position: FEN.start,
+        moveInput: moveInput,
+        extensions: [{class: SnapBackRecorder}]
+    })
+    chessboard.enableMoveInput((event) => {
+        events.push(event.type === INPUT_EVENT_TYPE.moveInputCanceled ? event.type + ":" + event.reason : event.type)
+        // only moves of one or two squares are valid
+        return event.type !== INPUT_EVENT_TYPE.validateMoveInput ||
+            Math.abs(event.squareTo.charCodeAt(1) - event.squareFrom.charCodeAt(1)) <= 2
+    })
+    return chessboard
+}
+
+describe("TestMoveInput", () => {
+
+    it("should move pieces by click and by drag with pointer events", async () => {
+        const events = []
+        const chessboard = createChessboard(events)
+        pointer(chessboard, "pointerdown", "e2")
+        pointer(chessboard, "pointerup", "e2")
+        pointer(chessboard, "pointerdown", "e4")
+        await new Promise((resolve) => setTimeout(resolve, 500))
+        assert.equal(chessboard.getPiece("e4"), "wp")
+        pointer(chessboard, "pointerdown", "d7", {clientX: 10, clientY: 10})
+        pointer(chessboard, "pointermove", "d6", {clientX: 10, clientY: 60})
+        pointer(chessboard, "pointermove", "d5", {clientX: 10, clientY: 110})
+        pointer(chessboard, "pointerup", "d5", {clientX: 10, clientY: 110})
+        await new Promise((resolve) => setTimeout(resolve, 100))
+        assert.equal(chessboard.getPiece("d5"), "bp")
+        assert.equal(chessboard.view.visualMoveInput.isMoving(), false)
+        chessboard.destroy()
+    })
+
+    it("should update the position fields after a move by move input", async () => {
+        const chessboard = createChessboard([])
+        pointer(chessboard, "pointerdown", "e2")
+        pointer(chessboard, "pointerup", "e2")
+        pointer(chessboard, "pointerdown", "e4")
+        await new Promise((resolve) => setTimeout(resolve, 500))
+        assert.equal(chessboard.getPosition(), "rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq e3 0 1")
+        chessboard.destroy()
+    })
+
+    it("should capture en passant and promote by move input", async () => {
+        const chessboard = new Chessboard(document.getElementById("TestMoveInput"), {
+            assetsUrl: "../assets/",
+            position: "4k3/1P6/8/3pP3/8/8/8/4K3 w - d6 0 1"
+        })
+        chessboard.enableMoveInput((event) => {
+            if (event.type === INPUT_EVENT_TYPE.validateMoveInput && event.move.promotion) {
+                event.move.promotion = "n"
+            }
+            return true
+        })
+        pointer(chessboard, "pointerdown", "e5")
+        pointer(chessboard, "pointerup", "e5")
+        pointer(chessboard, "pointerdown", "d6")
+        await new Promise((resolve) => setTimeout(resolve, 500))
+        assert.equal(chessboard.getPosition(), "4k3/1P6/3P4/8/8/8/8/4K3 b - - 0 1")
+        pointer(chessboard, "pointerdown", "b7")
+        pointer(chessboard, "pointerup", "b7")
+        pointer(chessboard, "pointerdown", "b8")
+        await new Promise((resolve) => setTimeout(resolve, 500))
+        assert.equal(chessboard.getPosition(), "1N2k3/8/3P4/8/8/8/8/4K3 b - - 0 1") // white moved again
+        chessboard.destroy()
+    })
+
+    it("should ignore secondary pointers while moving", () => {
+        const events = []
+        const chessboard = createChessboard(events)
+        pointer(chessboard, "pointerdown", "g1")
+        pointer(chessboard, "pointerdown", "b1", {pointerId: 2, isPrimary: false})
+        pointer(chessboard, "pointerup", "f3", {pointerId: 2, isPrimary: false})
+        assert.equal(chessboard.view.visualMoveInput.fromSquare, "g1")
+        assert.equal(events.join(), INPUT_EVENT_TYPE.moveInputStarted)
+        pointer(chessboard, "pointerup", "g1")
+        assert.true(chessboard.view.visualMoveInput.isMoving())
+        chessboard.destroy()
+    })
+
+    it("should cancel the move on pointercancel", () => {
+        const events = []
+        const chessboard = createChessboard(events)
+        pointer(chessboard, "pointerdown", "e2", {clientX: 10, clientY: 10})
+        pointer(chessboard, "pointermove", "e3", {clientX: 10, clientY: 60})
+        pointer(chessboard, "pointermove", "e4", {clientX: 10, clientY: 110})
+        pointer(chessboard, "pointercancel", "e4", {pointerId: 2})
+        assert.true(chessboard.view.visualMoveInput.isMoving())
+        pointer(chessboard, "pointercancel", "e4")
+        assert.false(chessboard.view.visualMoveInput.isMoving())
+        assert.equal(events.join(), [INPUT_EVENT_TYPE.moveInputStarted, INPUT_EVENT_TYPE.movingOverSquare,
+            INPUT_EVENT_TYPE.moveInputCanceled + ":pointerCanceled"].join())
+        assert.equal(chessboard.getPiece("e2"), "wp")
+        chessboard.destroy()
+    })
+
+    it("should drag the piece in the board, leave a ghost piece and lift it on touch", async () => {
+        const events = []
+        const chessboard = createChessboard(events, {ghostPiece: true})
+        pointer(chessboard, "pointerdown", "e2", {clientX: 10, clientY: 10, pointerType: "touch"})
+        pointer(chessboard, "pointermove", "e3", {clientX: 10, clientY: 60, pointerType: "touch"})
+        pointer(chessboard, "pointermove", "e4", {clientX: 12, clientY: 110, pointerType: "touch"})
+        const draggedPiece = chessboard.view.dragLayer.querySelector(".dragged-piece")
+        assert.equal(draggedPiece.querySelector("[data-piece]").getAttribute("data-piece"), "wp")
+        assert.equal(draggedPiece.getAttribute("transform"), "translate(12, 110) scale(1.5)")
+        assert.true(chessboard.view.getPieceElement("e2").classList.contains("ghost"))
+        assert.equal(chessboard.view.getPieceElement("e2").getAttribute("visibility"), null)
+        pointer(chessboard, "pointercancel", "e4")
+        await new Promise((resolve) => setTimeout(resolve, 500))
+        assert.equal(chessboard.view.dragLayer.childNodes.length, 0)
+        assert.false(chessboard.view.getPieceElement("e2").classList.contains("ghost"))
+        chessboard.destroy()
+    })
+
+    it("should allow only clicks or only drag and drop and respect the drag threshold", () => {
+        const events = []
+        let chessboard = createChessboard(events, {mode: MOVE_INPUT_MODE.dragOnly})
+        pointer(chessboard, "pointerdown", "e2")
+        pointer(chessboard, "pointerup", "e2")
+        assert.false(chessboard.view.visualMoveInput.isMoving())
+        assert.equal(events.join(), [INPUT_EVENT_TYPE.moveInputStarted,
+            INPUT_EVENT_TYPE.moveInputCanceled + ":notDragged"].join())
+        chessboard.destroy()
+        chessboard = createChessboard(events, {mode: MOVE_INPUT_MODE.clickOnly})
+        pointer(chessboard, "pointerdown", "e2", {clientX: 10, clientY: 10})
+        pointer(chessboard, "pointermove", "e3", {clientX: 10, clientY: 60})
+        assert.false(chessboard.view.visualMoveInput.isDragging())
+        pointer(chessboard, "pointerup", "e3", {clientX: 10, clientY: 60})
+        assert.equal(chessboard.view.visualMoveInput.getPickedUpSquare(), "e2")
+        chessboard.destroy()
+        chessboard = createChessboard(events, {dragThreshold: 20})
+        pointer(chessboard, "pointerdown", "e2", {clientX: 10, clientY: 10})
+        pointer(chessboard, "pointermove", "e2", {clientX: 10, clientY: 25})
+        assert.false(chessboard.view.visualMoveInput.isDragging())
+        pointer(chessboard, "pointermove", "e3", {clientX: 10, clientY: 35})
+        assert.true(chessboard.view.visualMoveInput.isDragging())
+        chessboard.destroy()
+    })
+
+    it("should animate the dragged piece back, if dropped off the board or rejected", async () => {
+        const events = []
+        const chessboard = createChessboard(events)
+        pointer(chessboard, "pointerdown", "e2", {clientX: 10, clientY: 10})
+        pointer(chessboard, "pointermove", "e3", {clientX: 10, clientY: 60})
+        pointer(chessboard, "pointermove", "e4", {clientX: 10, clientY: 110})
+        window.dispatchEvent(new PointerEvent("pointerup", {pointerId: 1, isPrimary: true, clientX: 10, clientY: 110}))
+        assert.false(chessboard.view.visualMoveInput.isMoving())
+        assert.equal(chessboard.snapBacks.length, 1)
+        assert.equal(chessboard.snapBacks[0].reason, "movedOutOfBoard")
+        assert.equal(chessboard.snapBacks[0].piece, "wp")
+        assert.equal(chessboard.view.dragLayer.childNodes.length, 1)
+        assert.equal(chessboard.view.getPieceElement("e2").getAttribute("visibility"), "hidden")
+        await new Promise((resolve) => setTimeout(resolve, 500))
+        assert.equal(chessboard.view.dragLayer.childNodes.length, 0)
+        assert.equal(chessboard.view.getPieceElement("e2").getAttribute("visibility"), null)
+        pointer(chessboard, "pointerdown", "d2", {clientX: 10, clientY: 10})
+        pointer(chessboard, "pointermove", "d4", {clientX: 10, clientY: 110})
+        pointer(chessboard, "pointermove", "d5", {clientX: 10, clientY: 160})
+        pointer(chessboard, "pointerup", "d5", {clientX: 10, clientY: 160})
+        assert.equal(chessboard.snapBacks.length, 2)
+        assert.true(chessboard.snapBacks[1].rejected)
+        assert.equal(chessboard.snapBacks[1].squareFrom, "d2")
+        assert.equal(chessboard.snapBacks[1].squareTo, "d5")
+        await new Promise((resolve) => setTimeout(resolve, 500))
+        assert.equal(chessboard.getPiece("d2"), "wp")
+        assert.equal(chessboard.view.dragLayer.childNodes.length, 0)
+        chessboard.destroy()
+    })
+
+    it("should wait for an asynchronous validation and block the input meanwhile", async () => {
+        const events = []
+        const validations = []
+        const chessboard = new Chessboard(document.getElementById("TestMoveInput"), {
+            assetsUrl: "../assets/",
+            position: FEN.start,
+            extensions: [{class: SnapBackRecorder}]
+        })
+        chessboard.enableMoveInput((event) => {
+            events.push(event.type === INPUT_EVENT_TYPE.moveInputFinished ? event.type + ":" + event.legalMove : event.type)
+            if (event.type === INPUT_EVENT_TYPE.validateMoveInput) {
+                return new Promise((resolve) => {
+                    validations.push(resolve)
+                })
+            }
+            return true
+        })
+        pointer(chessboard, "pointerdown", "e2")
+        pointer(chessboard, "pointerup", "e2")
+        pointer(chessboard, "pointerdown", "e4")
+        const pendingPiece = chessboard.view.dragLayer.querySelector(".pending")
+        assert.equal(pendingPiece.querySelector("[data-piece]").getAttribute("data-piece"), "wp")
+        assert.true(pendingPiece.getAttribute("transform").startsWith("translate("))
+        assert.equal(chessboard.view.getPieceElement("e2").getAttribute("visibility"), "hidden")
+        pointer(chessboard, "pointerdown", "g1")
+        pointer(chessboard, "pointerup", "g1")
+        assert.equal(chessboard.view.visualMoveInput.fromSquare, "e2")
+        validations[0](true)
+        await new Promise((resolve) => setTimeout(resolve, 100))
+        assert.equal(chessboard.getPiece("e4"), "wp")
+        assert.false(!!chessboard.getPiece("e2"))
+        assert.equal(chessboard.view.dragLayer.childNodes.length, 0)
+        assert.false(chessboard.view.visualMoveInput.isMoving())
+        assert.equal(events.join(), [INPUT_EVENT_TYPE.moveInputStarted, INPUT_EVENT_TYPE.validateMoveInput,
+            INPUT_EVENT_TYPE.moveInputFinished + ":true"].join())
+        events.length = 0
+        pointer(chessboard, "pointerdown", "d7", {clientX: 10, clientY: 10})
+        pointer(chessboard, "pointermove", "d6", {clientX: 10, clientY: 60})
+        pointer(chessboard, "pointermove", "d4", {clientX: 10, clientY: 160})
+        pointer(chessboard, "pointerup", "d4", {clientX: 10, clientY: 160})
+        assert.true(chessboard.view.visualMoveInput.isMoving())
+        validations[1](false)
+        await new Promise((resolve) => setTimeout(resolve, 500))
+        assert.equal(chessboard.getPiece("d7"), "bp")
+        assert.false(!!chessboard.getPiece("d4"))
+        assert.equal(chessboard.view.getPieceElement("d7").getAttribute("visibility"), null)
+        assert.equal(chessboard.view.dragLayer.childNodes.length, 0)
+        assert.true(chessboard.snapBacks[0].rejected)
+        assert.equal(events[events.length - 1], INPUT_EVENT_TYPE.moveInputFinished + ":false")
+        chessboard.destroy()
+    })
+
+})
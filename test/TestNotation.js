@@ -0,0 +1,63 @@
+/**
+ * Author and copyright: Stefan Haack (https://shaack.com)
+ * Repository: https://github.com/shaack/cm-chessboard
+ * License: MIT, see file 'LICENSE'
+ */
+
+import {describe, it, assert} from "../node_modules/teevi/src/teevi.js"
+import {FEN} from "../src/model/Position.js"
+import {Notation} from "../src/model/Notation.js"
+import {Rules} from "../src/model/Rules.js"
+
+describe("TestNotation", () => {
+    it("should write and read UCI", () => {
+        assert.equal(Notation.toUci({from: "e2", to: "e4"}), "e2e4")
+        assert.equal(Notation.toUci({from: "e7", to: "e8", promotion: "q"}), "e7e8q")
+        const castling = Rules.findMove("r3k2r/8/8/8/8/8/8/R3K2R w KQkq - 0 1", "e1", "g1")
+        assert.equal(Notation.toUci(castling), "e1g1")
+        assert.equal(Notation.toUci(castling, true), "e1h1")
+        assert.equal(Notation.fromUci(FEN.start, "g1f3").piece, "wn")
+        assert.equal(Notation.fromUci("4k3/1P6/8/8/8/8/8/4K3 w - - 0 1", "b7b8r").promotion, "r")
+        assert.equal(Notation.fromUci(FEN.start, "e2e5"), null)
+    })
+    it("should write SAN and LAN", () => {
+        assert.equal(Notation.toSan(FEN.start, {from: "g1", to: "f3"}), "Nf3")
+        assert.equal(Notation.toLan(FEN.start, {from: "g1", to: "f3"}), "Ng1-f3")
+        assert.equal(Notation.toSan(FEN.start, {from: "e2", to: "e4"}), "e4")
+        assert.equal(Notation.toLan(FEN.start, {from: "e2", to: "e4"}), "e2-e4")
+        assert.equal(Notation.toSan(FEN.start, {from: "e2", to: "e5"}), null)
+        const position = "r3k2r/1P6/8/8/8/8/8/R3K2R w KQkq - 0 1"
+        assert.equal(Notation.toSan(position, {from: "e1", to: "g1"}), "O-O")
+        assert.equal(Notation.toSan(position, {from: "e1", to: "a1"}), "O-O-O")
+        assert.equal(Notation.toSan(position, {from: "b7", to: "a8", promotion: "n"}), "bxa8=N")
+        assert.equal(Notation.toLan(position, {from: "b7", to: "b8"}), "b7-b8=Q+")
+        assert.equal(Notation.toSan(position, {from: "a1", to: "a8"}), "Rxa8+")
+        const mate = "rnbqkbnr/pppp1ppp/8/4p3/6P1/5P2/PPPPP2P/RNBQKBNR b KQkq - 0 2"
+        assert.equal(Notation.toSan(mate, {from: "d8", to: "h4"}), "Qh4#")
+    })
+    it("should disambiguate moves", () => {
+        assert.equal(Notation.toSan("4k3/8/8/8/8/5N2/8/1N2K3 w - - 0 1", {from: "b1", to: "d2"}), "Nbd2")
+        assert.equal(Notation.toSan("4k3/8/8/R7/8/8/8/R3K3 w - - 0 1", {from: "a1", to: "a3"}), "R1a3")
+        assert.equal(Notation.toSan("4k3/8/8/2N5/8/8/8/2N1N2K w - - 0 1", {from: "c1", to: "d3"}), "Nc1d3")
+    })
+    it("should localize the piece letters and write figurines", () => {
+        assert.equal(Notation.toSan(FEN.start, {from: "g1", to: "f3"}, "de"), "Sf3")
+        assert.equal(Notation.toLan(FEN.start, {from: "g1", to: "f3"}, "de"), "Sg1-f3")
+        assert.equal(Notation.toSan("4k3/1P6/8/8/8/8/8/4K3 w - - 0 1", {from: "b7", to: "b8"}, "de"), "b8=D+")
+        assert.equal(Notation.toFigurine(FEN.start, {from: "g1", to: "f3"}), "♘f3")
+        assert.equal(Notation.toFigurine(FEN.start, {from: "g1", to: "f3"}, true), "♘g1-f3")
+    })
+    it("should read SAN, LAN and figurines", () => {
+        assert.equal(Notation.fromSan(FEN.start, "Nf3").to, "f3")
+        assert.equal(Notation.fromSan(FEN.start, "Ng1-f3").to, "f3")
+        assert.equal(Notation.fromSan(FEN.start, "Sf3", "de").to, "f3")
+        assert.equal(Notation.fromSan(FEN.start, "♘f3").to, "f3")
+        assert.equal(Notation.fromSan(FEN.start, "e4").from, "e2")
+        assert.equal(Notation.fromSan(FEN.start, "Nf4"), null)
+        const position = "r3k2r/1P6/8/8/8/8/8/R3K2R w KQkq - 0 1"
+        assert.equal(Notation.fromSan(position, "0-0").castlingRook, "h1")
+        assert.equal(Notation.fromSan(position, "O-O-O").castlingRook, "a1")
+        assert.equal(Notation.fromSan(position, "bxa8=N").promotion, "n")
+        assert.equal(Notation.fromSan(position, "b8Q+").promotion, "q")
+    })
+})
@@ -0,0 +1,105 @@
+/**
+ * Author and copyright: Stefan Haack (https://shaack.com)
+ * Repository: https://github.com/shaack/cm-chessboard
+ * License: MIT, see file 'LICENSE'
+ */
+
+import {describe, it, assert} from "../node_modules/teevi/src/teevi.js"
+import {Pgn} from "../src/model/Pgn.js"
+
+const pgn = `[Event "Paris"]
+[White "Morphy, Paul"]
+[Black "Duke Karl / Count Isouard"]
+[Result "1-0"]
+
+{The Opera Game} 1. e4 e5 2. Nf3 d6 3. d4 Bg4?! (3... exd4 4. Qxd4 {is normal} (4. Nxd4)) 4. dxe5 $2 Bxf3
+5. Qxf3 dxe5 6. Bc4 Nf6 7. Qb3 1-0`
+
+describe("TestPgn", () => {
+
+    it("should read the headers and the main line", () => {
+        const game = Pgn.parse(pgn)
+        assert.equal(game.headers.White, "Morphy, Paul")
+        assert.equal(game.headers.Black, "Duke Karl / Count Isouard")
+        assert.equal(game.result, "1-0")
+        let node = game.root
+        const sans = []
+        while (node.children.length > 0) {
+            node = node.children[0]
+            sans.push(node.san)
+        }
+        assert.equal(sans.join(" "), "e4 e5 Nf3 d6 d4 Bg4 dxe5 Bxf3 Qxf3 dxe5 Bc4 Nf6 Qb3")
+        assert.equal(node.ply, 13)
+        assert.equal(node.fen, "rn1qkb1r/ppp2ppp/5n2/4p3/2B1P3/1Q6/PPP2PPP/RNB1K2R b KQkq - 3 7")
+    })
+
+    it("should read variations, comments and NAGs", () => {
+        const game = Pgn.parse(pgn)
+        const e4 = game.root.children[0]
+        assert.equal(e4.commentBefore, "The Opera Game")
+        const afterD4 = e4.children[0].children[0].children[0].children[0]
+        assert.equal(afterD4.children.length, 2)
+        const bg4 = afterD4.children[0]
+        assert.equal(bg4.nags[0], 6)
+        assert.equal(Pgn.renderNag(bg4.nags[0]), "?!")
+        assert.equal(bg4.children[0].nags[0], 2)
+        const exd4 = afterD4.children[1]
+        assert.equal(exd4.san, "exd4")
+        assert.equal(exd4.children[0].san, "Qxd4")
+        assert.equal(exd4.children[0].comment, "is normal")
+        assert.equal(exd4.children[1].san, "Nxd4")
+    })
+
+    it("should read a game from a FEN header and throw on illegal moves", () => {
+        const game = Pgn.parse(`[FEN "4k3/8/8/8/8/8/8/R3K3 w Q - 0 1"]\n\n1. O-O-O+ Kf7 *`)
+        assert.equal(game.root.children[0].move.castlingRook, "a1")
+        assert.equal(game.root.children[0].san, "O-O-O+") // as written
+        try {
+            Pgn.parse("1. e4 e4")
+            assert.fail("no error")
+        } catch (e) {
+            assert.equal(e.message, `illegal move "e4" at 6`)
+        }
+    })
+
+    it("should read and write graphical annotations", () => {
+        const annotations = Pgn.parseAnnotations("[%csl Ge4,Rd5] good [%cal Ge2e4,Bg1f3]")
+        assert.equal(annotations.comment, "good")
+        assert.equal(annotations.markers.length, 2)
+        assert.equal(annotations.markers[1].square, "d5")
+        assert.equal(annotations.markers[1].color, "R")
+        assert.equal(annotations.arrows[1].from, "g1")
+        assert.equal(annotations.arrows[1].to, "f3")
+        assert.equal(annotations.arrows[1].color, "B")
+        assert.equal(Pgn.renderAnnotations(annotations.markers, annotations.arrows), "[%csl Ge4,Rd5][%cal Ge2e4,Bg1f3]")
+        const game = Pgn.parse("1. e4 {[%cal Ge7e5]} e5 *")
+        assert.equal(game.root.children[0].comment, null)
+        assert.equal(game.root.children[0].annotations.arrows[0].from, "e7")
+    })
+
+    it("should write a game", () => {
+        const written = Pgn.render(Pgn.parse(pgn))
+        assert.equal(written, `[Event "Paris"]
+[White "Morphy, Paul"]
+[Black "Duke Karl / Count Isouard"]
+[Result "1-0"]
+
+{The Opera Game} 1. e4 e5 2. Nf3 d6 3. d4 Bg4 $6 (3... exd4 4. Qxd4 {is normal}
+(4. Nxd4)) 4. dxe5 $2 Bxf3 5. Qxf3 dxe5 6. Bc4 Nf6 7. Qb3 1-0
+`)
+        assert.equal(Pgn.render(Pgn.parse(written)), written)
+    })
+
+    it("should write games of other board sizes", () => {
+        const fen = "4k5/pppppppppp/10/10/10/10/PPPPPPPPPP/4K5 w - - 0 1"
+        const game = Pgn.parse(`[FEN "${fen}"]\n\n1. j4 a5 2. Kf1 *`, 10, 8)
+        delete game.headers.FEN
+        assert.equal(Pgn.render(game, 10, 8), `[Result "*"]
+[SetUp "1"]
+[FEN "${fen}"]
+
+1. j4 a5 2. Kf1 *
+`)
+    })
+
+})
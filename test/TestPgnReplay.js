@@ -0,0 +1,73 @@
+/**
+ * Author and copyright: Stefan Haack (https://shaack.com)
+ * Repository: https://github.com/shaack/cm-chessboard
+ * License: MIT, see file 'LICENSE'
+ */
+
+import {describe, it, assert} from "../node_modules/teevi/src/teevi.js"
+import {Chessboard} from "../src/Chessboard.js"
+import {MoveHistory} from "../src/extensions/move-history/MoveHistory.js"
+import {PGN_REPLAY_EVENT_TYPE, PgnReplay} from "../src/extensions/pgn-replay/PgnReplay.js"
+import {MARKER_TYPE, Markers} from "../src/extensions/markers/Markers.js"
+import {ARROW_TYPE, Arrows} from "../src/extensions/arrows/Arrows.js"
+
+describe("TestPgnReplay", () => {
+
+    it("should load a PGN and replay it", async () => {
+        const events = []
+        const chessboard = new Chessboard(document.getElementById("TestPgnReplay"), {
+            assetsUrl: "../assets/",
+            extensions: [{class: MoveHistory}, {class: PgnReplay, props: {
+                autoplayDelay: 10, eventHandler: (event) => events.push(event)
+            }}]
+        })
+        await chessboard.loadPgn(`[White "Anderssen"]\n\n1. e4 e5 (1... c5 2. Nf3) 2. Nf3 Nc6 *`)
+        assert.equal(chessboard.getPgnHeaders().White, "Anderssen")
+        assert.equal(events[0].type, PGN_REPLAY_EVENT_TYPE.loaded)
+        assert.equal(chessboard.getPiece("e2"), "wp")
+        await chessboard.goToPly(1)
+        assert.equal(chessboard.getVariations()[0].san, "c5")
+        await chessboard.enterVariation()
+        assert.equal(chessboard.getPiece("c5"), "bp")
+        assert.true(events[events.length - 1].inVariation)
+        await chessboard.leaveVariation()
+        assert.equal(chessboard.getHistoryCurrent().ply, 1)
+        // the app replaces the handler of the history, the replay still follows it
+        chessboard.getExtension(MoveHistory).props.eventHandler = () => {}
+        const eventCount = events.length
+        await chessboard.historyForward()
+        assert.equal(events.length, eventCount + 1)
+        assert.equal(events[eventCount].type, PGN_REPLAY_EVENT_TYPE.currentChanged)
+        await chessboard.historyBack()
+        chessboard.startAutoplay()
+        await new Promise((resolve) => setTimeout(resolve, 2000))
+        assert.false(chessboard.isAutoplaying())
+        assert.equal(chessboard.getHistoryCurrent().ply, 4)
+        assert.equal(events[events.length - 1].type, PGN_REPLAY_EVENT_TYPE.autoplayStopped)
+        assert.equal(chessboard.getPiece("c6"), "bn")
+        chessboard.destroy()
+    })
+
+    it("should show the annotations of the moves and write the ones drawn", async () => {
+        const chessboard = new Chessboard(document.getElementById("TestPgnReplay"), {
+            assetsUrl: "../assets/",
+            extensions: [{class: Markers, props: {autoMarkers: null}}, {class: Arrows}, {class: MoveHistory}, {class: PgnReplay}]
+        })
+        await chessboard.loadPgn("1. e4 {[%csl Re4][%cal Gd2d4]} e5 *")
+        assert.equal(chessboard.getMarkers().length, 0)
+        await chessboard.historyForward()
+        assert.equal(chessboard.getMarkers(MARKER_TYPE.circleDanger, "e4").length, 1)
+        assert.equal(chessboard.getArrows(ARROW_TYPE.success, "d2", "d4").length, 1)
+        assert.equal(chessboard.getAnnotations(), "[%csl Re4][%cal Gd2d4]")
+        await chessboard.historyForward()
+        assert.equal(chessboard.getMarkers().length, 0)
+        chessboard.addMarker(MARKER_TYPE.circleSuccess, "e5")
+        await chessboard.historyStart()
+        assert.equal(chessboard.getMarkers().length, 0)
+        assert.equal(chessboard.getPgn(), `[Result "*"]\n\n1. e4 {[%csl Re4][%cal Gd2d4]} 1... e5 {[%csl Ge5]} *\n`)
+        chessboard.setAnnotations("[%cal Ye2e4]")
+        assert.equal(chessboard.getArrows(ARROW_TYPE.warning).length, 1)
+        chessboard.destroy()
+    })
+
+})
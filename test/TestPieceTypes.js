@@ -0,0 +1,60 @@
+/**
+ * Author and copyright: Stefan Haack (https://shaack.com)
+ * Repository: https://github.com/shaack/cm-chessboard
+ * License: MIT, see file 'LICENSE'
+ */
+
+import {describe, it, assert} from "../node_modules/teevi/src/teevi.js"
+import {PIECE, PIECE_TYPE, PieceTypes} from "../src/model/PieceTypes.js"
+import {FEN_ERROR, Position} from "../src/model/Position.js"
+import {renderPieceLetter, renderPieceTitle} from "../src/extensions/accessibility/I18n.js"
+
+describe("TestPieceTypes", () => {
+
+    it("should know the standard piece types", () => {
+        assert.true(PieceTypes.isRegistered(PIECE_TYPE.knight))
+        assert.false(PieceTypes.isRegistered("x"))
+        assert.equal(PieceTypes.getSpriteId(PIECE.wn), "wn")
+        assert.equal(PieceTypes.getPromotionTypes().join(""), "qrbn")
+        assert.equal(PieceTypes.getLetter(PIECE_TYPE.knight), "n")
+        assert.equal(PieceTypes.getLetter(PIECE_TYPE.knight, "de"), "s")
+    })
+
+    it("should register fairy piece types", () => {
+        PieceTypes.register("archbishop", "a", {
+            names: {en: "Archbishop", de: "Erzbischof"}, letters: {de: "e"}, promotion: true
+        })
+        PieceTypes.register("chancellor", "c", {
+            names: {en: "Chancellor", de: "Kanzler"}, sprite: {w: "white-chancellor", b: "black-chancellor"}
+        })
+        assert.equal(PIECE_TYPE.archbishop, "a")
+        assert.equal(PIECE.wa, "wa")
+        assert.equal(PIECE.bc, "bc")
+        assert.equal(PieceTypes.getSpriteId(PIECE.wa), "wa")
+        assert.equal(PieceTypes.getSpriteId(PIECE.bc), "black-chancellor")
+        assert.equal(PieceTypes.getPromotionTypes().join(""), "qrbna")
+        assert.equal(renderPieceTitle("de", "a", "w"), "Erzbischof Weiß")
+        assert.equal(renderPieceTitle("en", "c"), "Chancellor")
+        assert.equal(renderPieceLetter("de", "a"), "e")
+        assert.equal(renderPieceLetter("en", "a"), "a")
+        assert.equal(renderPieceLetter("de", "q"), "d")
+        let error = null
+        try {
+            PieceTypes.register("amazon", "a")
+        } catch (e) {
+            error = e
+        }
+        assert.true(error !== null)
+    })
+
+    it("should read and write fairy pieces in FENs", () => {
+        const capablanca = "rnabqkbcnr/pppppppppp/10/10/10/10/PPPPPPPPPP/RNABQKBCNR w KQkq - 0 1"
+        const position = new Position(capablanca, 10, 8)
+        assert.equal(position.getPiece("c1"), "wa")
+        assert.equal(position.getPiece("h8"), "bc")
+        assert.equal(position.getFen(), capablanca)
+        assert.equal(position.getPieces(undefined, PIECE_TYPE.archbishop).length, 2)
+        assert.equal(Position.validateFen("4k3/8/8/8/8/8/8/3XK3").errors[0].type, FEN_ERROR.pieceLetter)
+    })
+
+})
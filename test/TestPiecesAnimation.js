@@ -21,6 +21,12 @@ describe("TestPiecesAnimation", () => {
         assert.equal(PositionsAnimation.squareDistance(14, 24), 6)
     })
 
+    it("should calculate square distances on boards with other sizes", () => {
+        assert.equal(PositionsAnimation.squareDistance(0, 9, 10), 9)
+        assert.equal(PositionsAnimation.squareDistance(0, 10, 10), 1)
+        assert.equal(PositionsAnimation.squareDistance(0, 35, 6), 5)
+    })
+
     it("should seek changes", () => {
         const state1 = new ChessboardState()
         state1.position = new Position("rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR")
@@ -50,4 +56,26 @@ describe("TestPiecesAnimation", () => {
         assert.equal(changes[13].atIndex, 59)
     })
 
+    it("should seek the changes of a move", () => {
+        const position = new Position("r3k2r/1P6/8/3pP3/8/8/8/R3K2R w KQkq d6 0 1")
+        const castling = PositionsAnimation.seekMoveChanges(position, {from: "e1", to: "g1", castlingRook: "h1"})
+        assert.equal(castling.length, 2)
+        assert.equal(castling[0].piece, "wk")
+        assert.equal(castling[0].toIndex, 6)
+        assert.equal(castling[1].piece, "wr")
+        assert.equal(castling[1].atIndex, 7)
+        assert.equal(castling[1].toIndex, 5)
+        const enPassant = PositionsAnimation.seekMoveChanges(position, {from: "e5", to: "d6", enPassantCapture: "d5"})
+        assert.equal(enPassant[0].type, 2)
+        assert.equal(enPassant[0].atIndex, 35)
+        const promotion = PositionsAnimation.seekMoveChanges(position, {from: "b7", to: "a8", promotion: "n"})
+        assert.equal(promotion[0].piece, "br")
+        assert.equal(promotion[1].type, 3)
+        assert.equal(promotion[1].toPiece, "wn")
+        PositionsAnimation.applyChanges(position, castling)
+        PositionsAnimation.applyChanges(position, enPassant)
+        PositionsAnimation.applyChanges(position, promotion)
+        assert.equal(position.getFen(true), "N3k2r/8/3P4/8/8/8/8/R4RK1")
+    })
+
 })
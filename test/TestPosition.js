@@ -5,7 +5,7 @@
  */
 
 import {describe, it, assert} from "../node_modules/teevi/src/teevi.js"
-import {FEN, Position} from "../src/model/Position.js"
+import {CASTLING_NOTATION, FEN, FEN_ERROR, FenError, Position} from "../src/model/Position.js"
 import {COLOR, PIECE_TYPE} from "../src/Chessboard.js"
 
 describe("TestPosition", () => {
@@ -25,7 +25,26 @@ describe("TestPosition", () => {
     })
     it("should return the correct FEN string", () => {
         const position = new Position(FEN.start)
-        assert.equal(position.getFen(), "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR")
+        assert.equal(position.getFen(), "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1")
+        assert.equal(position.getFen(true), "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR")
+    })
+    it("should parse and keep all FEN fields", () => {
+        const fen = "rnbqkbnr/pp1ppppp/8/2p5/4P3/8/PPPP1PPP/RNBQKBNR w KQkq c6 0 2"
+        const position = new Position(fen)
+        assert.equal(position.turn, "w")
+        assert.equal(position.castling, "KQkq")
+        assert.equal(position.enPassant, "c6")
+        assert.equal(position.halfMoveClock, 0)
+        assert.equal(position.fullMoveNumber, 2)
+        assert.equal(position.getFen(), fen)
+        assert.equal(position.clone().getFen(), fen)
+    })
+    it("should set defaults for missing FEN fields", () => {
+        const position = new Position("8/8/8/4k3/8/8/8/4K3")
+        assert.equal(position.getFen(), "8/8/8/4k3/8/8/8/4K3 w - - 0 1")
+        position.setFen("8/8/8/4k3/8/8/8/4K3 b")
+        assert.equal(position.turn, "b")
+        assert.equal(position.getFen(), "8/8/8/4k3/8/8/8/4K3 b - - 0 1")
     })
     it("should find the correct pieces", () => {
         const position = new Position("8/5P2/8/1P3r2/8/8/1P3P1P/8")
@@ -39,5 +58,180 @@ describe("TestPosition", () => {
         assert.equal(rooks.length, 1)
         assert.equal(rooks[0].square, "f5")
     })
+    it("should throw a FenError on malformed FENs", () => {
+        const expectError = (fen, type) => {
+            try {
+                new Position(fen)
+            } catch (e) {
+                assert.true(e instanceof FenError)
+                assert.equal(e.type, type)
+                return e
+            }
+            assert.fail("no error thrown for " + fen)
+        }
+        expectError("rnbqkbnr/pppppppp/8/8/8/PPPPPPPP/RNBQKBNR", FEN_ERROR.numberOfRanks)
+        assert.equal(expectError("rnbqkbnr/ppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR", FEN_ERROR.rankLength).rank, 7)
+        assert.equal(expectError("rnbqkbnr/pppppppp/9/8/8/8/PPPPPPPP/RNBQKBNR", FEN_ERROR.rankLength).rank, 6)
+        expectError("rnbqkbnr/pppppppp/8/8/4X3/8/PPPPPPPP/RNBQKBNR", FEN_ERROR.pieceLetter)
+        expectError("rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR x KQkq - 0 1", FEN_ERROR.turn)
+        expectError("rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkqK - 0 1", FEN_ERROR.castling)
+        expectError("rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq e4 0 1", FEN_ERROR.enPassant)
+        expectError("rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 0", FEN_ERROR.fullMoveNumber)
+        expectError(null, FEN_ERROR.notAString)
+    })
+    it("should validate FENs without throwing", () => {
+        assert.true(Position.validateFen(FEN.start).valid)
+        assert.true(Position.validateFen("rnbqkbnr/pp1ppppp/8/2p5/4P3/8/PPPP1PPP/RNBQKBNR w KQkq c6 0 2").valid)
+        assert.true(Position.validateFen("rn2k1r1/ppp1pp1p/3p2p1/5bn1/P7/2N2B2/1PPPPP2/2BNK1RR w Gkq - 4 11").valid)
+        const empty = Position.validateFen(FEN.empty)
+        assert.false(empty.valid)
+        assert.equal(empty.errors.length, 2)
+        assert.equal(empty.errors[0].type, FEN_ERROR.kings)
+        const pawns = Position.validateFen("4k2P/8/8/8/8/8/8/p3K3")
+        assert.equal(pawns.errors.length, 2)
+        assert.equal(pawns.errors[0].type, FEN_ERROR.pawnOnBackRank)
+        assert.equal(pawns.errors[0].square, "a1")
+        const castling = Position.validateFen("4k3/8/8/8/8/8/8/4K2R w KQ - 0 1")
+        assert.equal(castling.errors.length, 1)
+        assert.equal(castling.errors[0].type, FEN_ERROR.castling)
+        assert.equal(Position.validateFen("4k3/8/8/8/8/8/8/4K3 w - e6 0 1").errors[0].type, FEN_ERROR.enPassant)
+        assert.equal(Position.validateFen("8/8/8/8/8/8/8/8 w - - 0").errors.length, 2)
+        assert.equal(Position.validateFen("8/8/8/8/8/8/8").errors[0].type, FEN_ERROR.numberOfRanks)
+    })
+    it("should handle boards with other sizes than 8x8", () => {
+        const capablanca = "r1nbqkbn1r/pppppppppp/10/10/10/10/PPPPPPPPPP/R1NBQKBN1R w - - 0 1"
+        const position = new Position(capablanca, 10, 8)
+        assert.equal(position.getFen(), capablanca)
+        assert.equal(position.getPiece("a1"), "wr")
+        assert.equal(position.getPiece("j2"), "wp")
+        assert.equal(position.getPiece("i8"), null)
+        assert.equal(position.getPiece("j8"), "br")
+        assert.equal(position.squareToIndex("j8"), 79)
+        assert.equal(position.indexToSquare(79), "j8")
+        assert.equal(position.clone().getFen(), capablanca)
+        const losAlamos = new Position("rnqknr/pppppp/6/6/PPPPPP/RNQKNR w - - 0 1", 6, 6)
+        assert.equal(losAlamos.squares.length, 36)
+        assert.equal(losAlamos.getPiece("d6"), "bk")
+        assert.equal(losAlamos.getPieces("w").length, 12)
+        assert.equal(new Position(FEN.empty, 5, 5).getFen(true), "5/5/5/5/5")
+        assert.true(Position.validateFen("kqbnr/ppppp/5/PPPPP/KQBNR w - - 0 1", 5, 5).valid)
+        assert.equal(Position.validateFen(FEN.start, 10, 8).errors[0].type, FEN_ERROR.rankLength)
+        assert.equal(Position.squareToIndex("a10", 10), 90)
+        assert.equal(Position.indexToSquare(99, 10), "j10")
+    })
+    it("should read and write Shredder-FEN and X-FEN castling fields", () => {
+        const shredder = "rn2k1r1/ppp1pp1p/3p2p1/5bn1/P7/2N2B2/1PPPPP2/2BNK1RR w Gkq - 4 11"
+        const position = new Position(shredder)
+        assert.equal(position.getFen(), shredder)
+        const rights = position.getCastlingRights()
+        assert.equal(rights.length, 3)
+        assert.equal(rights[0].rookSquare, "g1")
+        assert.equal(rights[0].side, "k")
+        assert.equal(rights[1].rookSquare, "g8")
+        assert.equal(rights[2].rookSquare, "a8")
+        assert.equal(position.getCastlingField(CASTLING_NOTATION.shredder), "Gga")
+        assert.equal(position.getCastlingField(CASTLING_NOTATION.xfen), "Gkq")
+        assert.equal(position.getCastlingField(CASTLING_NOTATION.standard), "Kkq")
+        assert.equal(position.getFen(false, CASTLING_NOTATION.shredder),
+            "rn2k1r1/ppp1pp1p/3p2p1/5bn1/P7/2N2B2/1PPPPP2/2BNK1RR w Gga - 4 11")
+        const start = new Position(FEN.start)
+        assert.equal(start.getCastlingField(CASTLING_NOTATION.shredder), "HAha")
+        assert.equal(new Position("rk2r3/8/8/8/8/8/8/RK2R3 w EAea - 0 1").getCastlingField(), "KQkq")
+        assert.equal(new Position("rk2r3/8/8/8/8/8/8/RK2R3 w KQkq - 0 1").getCastlingField(CASTLING_NOTATION.shredder), "EAea")
+        assert.equal(new Position("1k1r1r2/8/8/8/8/8/8/1K1R1R2 w Dd - 0 1").getCastlingField(), "Dd")
+        assert.equal(new Position("rk2r3/8/8/8/8/8/8/RK2R3 w Hh - 0 1").getCastlingField(), "-")
+    })
+    it("should find castling moves of the king onto its rook", () => {
+        const position = new Position("1r2k1r1/8/8/8/8/8/8/1R2K1R1 w GBgb - 0 1")
+        const castling = position.getCastlingMove("e1", "g1")
+        assert.equal(castling.kingSquareTo, "g1")
+        assert.equal(castling.rookSquareTo, "f1")
+        const castlingLong = position.getCastlingMove("e8", "b8")
+        assert.equal(castlingLong.kingSquareTo, "c8")
+        assert.equal(castlingLong.rookSquareTo, "d8")
+        assert.equal(position.getCastlingMove("e1", "e8"), null)
+        assert.equal(position.getCastlingMove("g1", "b1"), null)
+        assert.equal(new Position("4k3/8/8/8/8/8/8/4K2R w - - 0 1").getCastlingMove("e1", "h1"), null)
+    })
+    it("should read and write maps of squares to pieces", () => {
+        const position = new Position({e1: "wk", e8: "bk", d2: "wp"})
+        assert.equal(position.getFen(), "4k3/8/8/8/8/8/3P4/4K3 w - - 0 1")
+        const map = new Position(FEN.start).getMap()
+        assert.equal(map.e1, "wk")
+        assert.equal(map.d8, "bq")
+        assert.equal(Object.keys(map).length, 32)
+        assert.equal(new Position({j1: "wr"}, 10, 8).getPiece("j1"), "wr")
+        try {
+            new Position({i1: "wr"})
+            assert.fail("no error thrown")
+        } catch (e) {
+            assert.true(e.message.indexOf("i1") !== -1)
+        }
+        try {
+            new Position({e1: "wx"})
+            assert.fail("no error thrown")
+        } catch (e) {
+            assert.true(e.message.indexOf("wx") !== -1)
+        }
+    })
+    it("should read and write ASCII and Unicode diagrams", () => {
+        const start = new Position(FEN.start)
+        const ascii = start.getAscii()
+        assert.equal(ascii.split("\n")[0], "8 r n b q k b n r")
+        assert.equal(ascii.split("\n")[8], "  a b c d e f g h")
+        assert.equal(new Position(ascii).getFen(true), start.getFen(true))
+        const unicode = start.getUnicode()
+        assert.equal(unicode.split("\n")[7], "1 ♖ ♘ ♗ ♕ ♔ ♗ ♘ ♖")
+        assert.equal(new Position(unicode).getFen(true), start.getFen(true))
+        const bordered = new Position("+-----+\n|k....|\n|.....|\n|....K|\n+-----+", 5, 3)
+        assert.equal(bordered.getFen(true), "k4/5/4K")
+        const large = new Position(FEN.empty, 10, 10)
+        large.setPiece("a10", "bk")
+        assert.equal(large.getAscii().split("\n")[0], "10 k . . . . . . . . .")
+        assert.equal(new Position(large.getAscii(), 10, 10).getPiece("a10"), "bk")
+    })
+    it("should read and write the JSON form", () => {
+        const position = new Position("4k3/8/8/3pP3/8/8/8/4K2R w K d6 0 12")
+        const json = JSON.stringify(position)
+        assert.equal(JSON.parse(json).pieces.e5, "wp")
+        assert.equal(JSON.parse(json).castling, "K")
+        assert.equal(new Position(json).getFen(), position.getFen())
+        assert.equal(new Position(JSON.parse(json)).getFen(), position.getFen())
+        assert.equal(new Position({pieces: {e1: "wk"}, turn: "b"}).getFen(), "8/8/8/8/8/8/8/4K3 b - - 0 1")
+    })
+    it("should compare positions", () => {
+        const position = new Position(FEN.start)
+        assert.true(position.equals(new Position(FEN.start)))
+        assert.true(position.equals(position.clone()))
+        assert.false(position.equals(new Position(FEN.start.replace(" w ", " b "))))
+        assert.true(position.equals(new Position(FEN.start.replace(" w ", " b ")), true))
+        assert.false(position.equals(new Position(FEN.start.replace(" 0 1", " 0 2"))))
+        assert.true(position.equals(new Position(FEN.start.replace("KQkq", "HAha"))))
+        assert.false(new Position(FEN.empty).equals(new Position(FEN.empty, 8, 9)))
+        const moved = position.clone()
+        moved.movePiece("e2", "e4")
+        assert.false(position.equals(moved, true))
+        moved.movePiece("e4", "e2")
+        assert.true(position.equals(moved))
+    })
+    it("should maintain a stable Zobrist hash", () => {
+        const position = new Position(FEN.start)
+        const hash = position.getHash()
+        assert.true(/^[0-9a-f]{16}$/.test(hash))
+        assert.equal(new Position(FEN.start).getHash(), hash)
+        assert.equal(new Position(FEN.start.replace(" 0 1", " 5 12")).getHash(), hash)
+        assert.notEqual(new Position(FEN.start.replace(" w ", " b ")).getHash(), hash)
+        assert.notEqual(new Position(FEN.start.replace("KQkq", "KQk")).getHash(), hash)
+        position.movePiece("e2", "e4")
+        assert.notEqual(position.getHash(), hash)
+        assert.equal(position.getHash(), new Position(position.getFen()).getHash())
+        position.setPiece("d7", null)
+        position.setPiece("d5", "bp")
+        position.setPiece("e4", "wq")
+        assert.equal(position.getHash(), new Position(position.getFen()).getHash())
+        position.setFen(FEN.start)
+        assert.equal(position.getHash(), hash)
+        const enPassant = new Position("4k3/8/8/3pP3/8/8/8/4K3 w - d6 0 1")
+        assert.notEqual(enPassant.getHash(), new Position("4k3/8/8/3pP3/8/8/8/4K3 w - - 0 1").getHash())
+    })
 })
-
@@ -0,0 +1,144 @@
+/**
+ * Author and copyright: Stefan Haack (https://shaack.com)
+ * Repository: https://github.com/shaack/cm-chessboard
+ * License: MIT, see file 'LICENSE'
+ */
+
+import {describe, it, assert} from "../node_modules/teevi/src/teevi.js"
+import {Chessboard, COLOR, INPUT_EVENT_TYPE, VALIDATION_RESULT} from "../src/Chessboard.js"
+import {Premoves} from "../src/extensions/premoves/Premoves.js"
+
+describe("TestPremoves", () => {
+
+    it("should record premoves on the opponent's turn and execute them after the reply", async () => {
+        const chessboard = new Chessboard(document.getElementById("TestPremoves"), {
+            assetsUrl: "../assets/",
+            position: "rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq - 0 1",
+            extensions: [{class: Premoves}]
+        })
+        const validated = []
+        chessboard.enableMoveInput((event) => {
+            if (event.type === INPUT_EVENT_TYPE.validateMoveInput) {
+                validated.push(event.squareFrom + event.squareTo)
+            }
+            return true
+        }, COLOR.white)
+        assert.true(chessboard.view.moveInputStartedCallback("g1"))
+        assert.equal(chessboard.view.validateMoveInputCallback("g1", "f3"), VALIDATION_RESULT.recorded)
+        assert.equal(validated.length, 0)
+        assert.equal(chessboard.getPremoves().length, 1)
+        assert.equal(chessboard.view.getPiece("f3"), "wn") // only shown, the position is not changed
+        assert.equal(chessboard.getPiece("f3"), null)
+        assert.equal(chessboard.getPosition(), "rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq - 0 1")
+        await chessboard.setPosition("rnbqkbnr/pppp1ppp/8/4p3/4P3/8/PPPP1PPP/RNBQKBNR w KQkq e6 0 2")
+        await new Promise((resolve) => setTimeout(resolve)) // the premove is executed after the position change
+        assert.equal(validated[0], "g1f3")
+        assert.equal(chessboard.getPremoves().length, 0)
+        assert.equal(chessboard.getPiece("f3"), "wn")
+        chessboard.destroy()
+    })
+
+    it("should cancel premoves", () => {
+        const chessboard = new Chessboard(document.getElementById("TestPremoves"), {
+            assetsUrl: "../assets/",
+            position: "rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq - 0 1",
+            extensions: [{class: Premoves}]
+        })
+        chessboard.enableMoveInput(() => true, COLOR.white)
+        chessboard.view.validateMoveInputCallback("g1", "f3")
+        chessboard.view.validateMoveInputCallback("d2", "d4")
+        assert.equal(chessboard.getPremoves().length, 2)
+        assert.equal(chessboard.view.getPiece("d4"), "wp")
+        chessboard.cancelPremoves()
+        assert.equal(chessboard.getPremoves().length, 0)
+        assert.equal(chessboard.view.getPiece("g1"), "wn")
+        assert.equal(chessboard.view.getPiece("f3"), null)
+        assert.equal(chessboard.view.getPiece("d2"), "wp")
+        chessboard.view.validateMoveInputCallback("g1", "f3")
+        chessboard.disableMoveInput()
+        assert.equal(chessboard.getPremoves().length, 0)
+        chessboard.destroy()
+    })
+
+    it("should chain premoves with the same piece", async () => {
+        const chessboard = new Chessboard(document.getElementById("TestPremoves"), {
+            assetsUrl: "../assets/",
+            position: "rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq - 0 1",
+            extensions: [{class: Premoves}]
+        })
+        const validated = []
+        chessboard.enableMoveInput((event) => {
+            if (event.type === INPUT_EVENT_TYPE.validateMoveInput) {
+                validated.push(event.squareFrom + event.squareTo)
+            }
+            return true
+        }, COLOR.white)
+        chessboard.view.validateMoveInputCallback("g1", "f3")
+        assert.false(chessboard.view.moveInputStartedCallback("g1"))
+        assert.true(chessboard.view.moveInputStartedCallback("f3"))
+        chessboard.view.validateMoveInputCallback("f3", "g5")
+        assert.equal(chessboard.view.getPiece("g5"), "wn")
+        await chessboard.setPosition("rnbqkbnr/pppp1ppp/8/4p3/4P3/8/PPPP1PPP/RNBQKBNR w KQkq e6 0 2")
+        await new Promise((resolve) => setTimeout(resolve))
+        assert.equal(validated.join(), "g1f3")
+        assert.equal(chessboard.view.getPiece("g5"), "wn") // the remaining premove is shown again
+        assert.equal(chessboard.getPiece("f3"), "wn")
+        await chessboard.setPosition("rnbqkbnr/pppp2pp/5p2/4p3/4P3/5N2/PPPP1PPP/RNBQKB1R w KQkq - 0 3")
+        await new Promise((resolve) => setTimeout(resolve))
+        assert.equal(validated.join(), "g1f3,f3g5")
+        assert.equal(chessboard.getPiece("g5"), "wn")
+        assert.equal(chessboard.getPremoves().length, 0)
+        chessboard.destroy()
+    })
+
+    it("should cancel the premoves, if an async validation resolves to false", async () => {
+        const chessboard = new Chessboard(document.getElementById("TestPremoves"), {
+            assetsUrl: "../assets/",
+            position: "rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq - 0 1",
+            extensions: [{class: Premoves}]
+        })
+        let validation = null
+        chessboard.enableMoveInput((event) => {
+            if (event.type === INPUT_EVENT_TYPE.validateMoveInput) {
+                validation = new Promise((resolve) => setTimeout(() => resolve(false), 10))
+                return validation
+            }
+            return true
+        }, COLOR.white)
+        chessboard.view.validateMoveInputCallback("g1", "f3")
+        chessboard.view.validateMoveInputCallback("d2", "d4")
+        await chessboard.setPosition("rnbqkbnr/pppp1ppp/8/4p3/4P3/8/PPPP1PPP/RNBQKBNR w KQkq e6 0 2")
+        await new Promise((resolve) => setTimeout(resolve))
+        assert.true(validation instanceof Promise)
+        await validation
+        await new Promise((resolve) => setTimeout(resolve))
+        assert.equal(chessboard.getPremoves().length, 0)
+        assert.equal(chessboard.view.getPiece("g1"), "wn")
+        assert.equal(chessboard.view.getPiece("f3"), null)
+        assert.equal(chessboard.view.getPiece("d2"), "wp")
+        chessboard.destroy()
+    })
+
+    it("should capture en passant with a premove", async () => {
+        const chessboard = new Chessboard(document.getElementById("TestPremoves"), {
+            assetsUrl: "../assets/",
+            position: "rnbqkbnr/pppppppp/8/4P3/8/8/PPPP1PPP/RNBQKBNR b KQkq - 0 1",
+            extensions: [{class: Premoves}]
+        })
+        let move = null
+        chessboard.enableMoveInput((event) => {
+            if (event.type === INPUT_EVENT_TYPE.validateMoveInput) {
+                move = event.move
+            }
+            return true
+        }, COLOR.white)
+        chessboard.view.validateMoveInputCallback("e5", "d6")
+        await chessboard.setPosition("rnbqkbnr/ppp1pppp/8/3pP3/8/8/PPPP1PPP/RNBQKBNR w KQkq d6 0 2")
+        await new Promise((resolve) => setTimeout(resolve))
+        assert.equal(move.enPassantCapture, "d5")
+        assert.equal(chessboard.getPosition(), "rnbqkbnr/ppp1pppp/3P4/8/8/8/PPPP1PPP/RNBQKBNR b KQkq - 0 2")
+        assert.equal(chessboard.view.getPiece("d5"), null)
+        chessboard.destroy()
+    })
+
+})
@@ -0,0 +1,87 @@
+/**
+ * Author and copyright: Stefan Haack (https://shaack.com)
+ * Repository: https://github.com/shaack/cm-chessboard
+ * License: MIT, see file 'LICENSE'
+ */
+
+import {describe, it, assert} from "../node_modules/teevi/src/teevi.js"
+import {FEN, Position} from "../src/model/Position.js"
+import {Rules} from "../src/model/Rules.js"
+import {PieceTypes} from "../src/model/PieceTypes.js"
+
+function perft(position, depth) {
+    const moves = Rules.getMoves(position)
+    if (depth === 1) {
+        return moves.length
+    }
+    let nodes = 0
+    for (const move of moves) {
+        nodes += perft(Rules.makeMove(position, move), depth - 1)
+    }
+    return nodes
+}
+
+describe("TestRules", () => {
+    it("should generate the legal moves", () => {
+        assert.equal(perft(new Position(FEN.start), 3), 8902)
+        assert.equal(perft(new Position("r3k2r/p1ppqpb1/bn2pnp1/3PN3/1p2P3/2N2Q1p/PPPBBPPP/R3K2R w KQkq - 0 1"), 2), 2039)
+        assert.equal(perft(new Position("8/2p5/3p4/KP5r/1R3p1k/8/4P1P1/8 w - - 0 1"), 3), 2812)
+        assert.equal(perft(new Position("bqnb1rkr/pp3ppp/3ppn2/2p5/5P2/P2P4/NPP1P1PP/BQ1BNRKR w HFhf - 2 9"), 2), 528)
+    })
+    it("should get the moves of a square", () => {
+        const moves = Rules.getMoves(FEN.start, "g1")
+        assert.equal(moves.length, 2)
+        assert.equal(moves[0].piece, "wn")
+        assert.equal(moves.map((move) => move.to).sort().join(), "f3,h3")
+        assert.equal(Rules.getMoves(FEN.start, "e7").length, 0)
+    })
+    it("should make moves and update the FEN fields", () => {
+        let position = Rules.makeMove(FEN.start, {from: "e2", to: "e4"})
+        assert.equal(position.getFen(), "rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq e3 0 1")
+        position = Rules.makeMove(position, {from: "g8", to: "f6"})
+        assert.equal(position.getFen(), "rnbqkb1r/pppppppp/5n2/8/4P3/8/PPPP1PPP/RNBQKBNR w KQkq - 1 2")
+        assert.equal(Rules.makeMove(position, {from: "e4", to: "e6"}), null)
+    })
+    it("should castle and update the castling rights", () => {
+        const position = new Position("r3k2r/8/8/8/8/8/8/R3K2R w KQkq - 0 1")
+        const castled = Rules.makeMove(position, {from: "e1", to: "g1"})
+        assert.equal(castled.getFen(), "r3k2r/8/8/8/8/8/8/R4RK1 b kq - 1 1")
+        assert.equal(Rules.makeMove(position, {from: "e1", to: "h1"}).getFen(), castled.getFen())
+        assert.equal(Rules.makeMove(castled, {from: "a8", to: "a1"}).getFen(), "4k2r/8/8/8/8/8/8/r4RK1 w k - 0 2")
+        const chess960 = new Position("1r2k1r1/8/8/8/8/8/8/1R2K1R1 w GBgb - 0 1")
+        const move = Rules.findMove(chess960, "e1", "b1")
+        assert.equal(move.to, "c1")
+        assert.equal(move.castlingRook, "b1")
+        assert.equal(Rules.makeMove(chess960, move).getFen(), "1r2k1r1/8/8/8/8/8/8/2KR2R1 b gb - 1 1")
+        assert.equal(Rules.findMove("r3k2r/8/8/8/8/8/8/R3K1rR w KQkq - 0 1", "e1", "g1"), null)
+        assert.equal(Rules.findMove("r3k2r/8/8/8/8/5r2/8/R3K2R w KQkq - 0 1", "e1", "g1"), null)
+        assert.equal(Rules.findMove("r3k2r/8/8/8/8/4r3/8/R3K2R w KQkq - 0 1", "e1", "c1"), null)
+    })
+    it("should capture en passant", () => {
+        const position = new Position("4k3/8/8/3pP3/8/8/8/4K3 w - d6 0 1")
+        const move = Rules.findMove(position, "e5", "d6")
+        assert.equal(move.enPassantCapture, "d5")
+        assert.equal(Rules.makeMove(position, move).getFen(), "4k3/8/3P4/8/8/8/8/4K3 b - - 0 1")
+        assert.equal(Rules.findMove("4k3/8/8/3pP3/8/8/8/4K3 w - - 0 1", "e5", "d6"), null)
+    })
+    it("should promote", () => {
+        const position = new Position("4k3/1P6/8/8/8/8/8/4K3 w - - 0 1")
+        const moves = Rules.getMoves(position, "b7")
+        assert.equal(moves.length, PieceTypes.getPromotionTypes().length)
+        assert.equal(Rules.findMove(position, "b7", "b8").promotion, "q")
+        assert.equal(Rules.makeMove(position, {from: "b7", to: "b8", promotion: "n"}).getFen(),
+            "1N2k3/8/8/8/8/8/8/4K3 b - - 0 1")
+    })
+    it("should detect check, checkmate and stalemate", () => {
+        const mate = "rnb1kbnr/pppp1ppp/8/4p3/6Pq/5P2/PPPPP2P/RNBQKBNR w KQkq - 1 3"
+        assert.true(Rules.isCheck(mate))
+        assert.true(Rules.isCheckmate(mate))
+        assert.false(Rules.isStalemate(mate))
+        const stalemate = "7k/5Q2/6K1/8/8/8/8/8 b - - 0 1"
+        assert.false(Rules.isCheck(stalemate))
+        assert.true(Rules.isStalemate(stalemate))
+        assert.false(Rules.isCheckmate(FEN.start))
+        assert.true(Rules.isSquareAttacked(FEN.start, "f3", "w"))
+        assert.false(Rules.isSquareAttacked(FEN.start, "e4", "w"))
+    })
+})